@@ -9,6 +9,17 @@
   const uid = () => '_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
   const clamp = (val, min, max) => Math.max(min, Math.min(max, val));
   const debounce = (fn, ms) => { let t; return (...a) => { clearTimeout(t); t = setTimeout(() => fn(...a), ms); }; };
+  const throttle = (fn, ms) => {
+    let last = 0, t;
+    return (...a) => {
+      clearTimeout(t);
+      const wait = ms - (Date.now() - last);
+      if (wait <= 0) { last = Date.now(); fn(...a); } else t = setTimeout(() => { last = Date.now(); fn(...a); }, wait);
+    };
+  };
+  const escapeHtml = (str) => String(str).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+  const slugify = (str) => String(str || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'quadro';
 
   // ============= STATE =============
   const state = {
@@ -17,7 +28,17 @@
     currentBoardId: null,
     selectedCardIds: new Set(),
     clipboard: [],
-    history: { past: [], future: [] },
+    history: {
+      past: [],
+      future: [],
+      // JSON of every board and card when the last step closed
+      base: null,
+      images: new Map(),
+      explicit: false,
+      commitQueued: false,
+      startedAt: 0,
+      changedAt: 0
+    },
     canvas: { panX: 0, panY: 0, zoom: 1 },
     ui: {
       darkMode: false,
@@ -73,128 +94,4632 @@
     toastContainer: $('#toast-container'),
     connColorPicker: $('#conn-color-picker'),
     imageInput: $('#image-input'),
-    importInput: $('#import-input')
+    importInput: $('#import-input'),
+    migrateImagesBtn: $('#migrate-images-btn'),
+    storageBtn: $('#storage-btn'),
+    storageMeter: $('#storage-meter-fill'),
+    saveStatus: $('#save-status'),
+    presence: $('#presence'),
+    checkpointBar: $('#checkpoint-bar')
   };
 
   // ============= STORAGE =============
   const STORAGE_KEY = 'quadro-planejamento-data';
+  const PREFS_KEY = 'quadro-planejamento-prefs';
+  const SCHEMA_VERSION = 2;
 
-  function saveToStorage() {
+  function buildPayload() {
+    return {
+      boards: state.boards,
+      cards: state.cards,
+      currentBoardId: state.currentBoardId,
+      darkMode: state.ui.darkMode,
+      version: SCHEMA_VERSION
+    };
+  }
+
+  // The part of a payload that belongs to one board
+  function boardPayloadOf(data, boardId) {
+    const cards = {};
+    Object.values(data.cards).forEach(card => {
+      if (card.boardId === boardId) cards[card.id] = card;
+    });
+    return { boards: { [boardId]: data.boards[boardId] }, cards, version: SCHEMA_VERSION };
+  }
+
+  function serializeBoards(data) {
+    const serialized = {};
+    Object.keys(data.boards).forEach(id => { serialized[id] = JSON.stringify(boardPayloadOf(data, id)); });
+    return serialized;
+  }
+
+  // Browser-only backend: the whole payload in one localStorage entry, plus a
+  // small revision counter so tabs can tell when another tab saved
+  // (see CROSS-TAB SYNC).
+  const REVISION_KEY = 'quadro-planejamento-revision';
+
+  const localBackend = {
+    name: 'local',
+    revision: 0,
+    syncedBoards: {},
+
+    storedRevision() {
+      return parseInt(localStorage.getItem(REVISION_KEY), 10) || 0;
+    },
+
+    read() {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    remember(data, revision) {
+      this.revision = revision;
+      this.syncedBoards = serializeBoards(data);
+    },
+
+    baseBoards() {
+      return this.syncedBoards;
+    },
+
+    async load() {
+      const data = this.read();
+      if (data) this.remember(data, this.storedRevision());
+      return data;
+    },
+
+    async save(data) {
+      // Another tab saved since we last read: merge its changes in first
+      // instead of overwriting them with our older copy
+      if (this.storedRevision() > this.revision) {
+        await pullFromOtherTab();
+        data = buildPayload();
+      }
+      const revision = this.revision + 1;
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+      localStorage.setItem(REVISION_KEY, String(revision));
+      this.remember(data, revision);
+    }
+  };
+
+  // IndexedDB backend: boards, cards and image blobs live in separate object
+  // stores and only records whose contents changed are written. Inline images
+  // are kept once per distinct image in the images store; card records point
+  // to them with an "idb-image:" reference. Tabs are kept in sync through the
+  // same REVISION_KEY counter as the localStorage backend.
+  const IDB_NAME = 'quadro-planejamento';
+  const IDB_VERSION = 1;
+  const IDB_STORES = ['boards', 'cards', 'images', 'meta'];
+  const IDB_IMAGE_PREFIX = 'idb-image:';
+  const IMAGE_FIELDS = ['imageData', 'coverImage'];
+
+  function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function idbTransactionDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new DOMException('Transação cancelada', 'AbortError'));
+    });
+  }
+
+  function openDatabase() {
+    const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore('boards', { keyPath: 'id' });
+      db.createObjectStore('cards', { keyPath: 'id' });
+      db.createObjectStore('images', { keyPath: 'id' });
+      db.createObjectStore('meta');
+    };
+    return idbRequest(request);
+  }
+
+  function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  // Content hash (cyrb53) used as the id of an inline image
+  function hashString(str) {
+    let h1 = 0xdeadbeef, h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+      const ch = str.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+  }
+
+  const idbBackend = {
+    name: 'indexeddb',
+    db: null,
+    revision: 0,
+    records: { boards: {}, cards: {} },
+    prefs: null,
+    storedImages: new Map(),
+    imageIds: new Map(),
+
+    storedRevision() {
+      return localBackend.storedRevision();
+    },
+
+    imageId(dataUrl) {
+      let id = this.imageIds.get(dataUrl);
+      if (!id) {
+        id = 'img-' + hashString(dataUrl) + '-' + dataUrl.length.toString(36);
+        this.imageIds.set(dataUrl, id);
+      }
+      return id;
+    },
+
+    // Card as stored: inline images replaced by references to the images store
+    toRecord(card) {
+      let record = card;
+      IMAGE_FIELDS.forEach(field => {
+        if (!isInlineImage(card[field])) return;
+        if (record === card) record = { ...card };
+        record[field] = IDB_IMAGE_PREFIX + this.imageId(card[field]);
+      });
+      return record;
+    },
+
+    fromRecord(record) {
+      IMAGE_FIELDS.forEach(field => {
+        const value = record[field];
+        if (typeof value === 'string' && value.startsWith(IDB_IMAGE_PREFIX)) {
+          record[field] = this.storedImages.get(value.slice(IDB_IMAGE_PREFIX.length)) || null;
+        }
+      });
+      return record;
+    },
+
+    remember(data, revision) {
+      this.revision = revision;
+      this.records = { boards: {}, cards: {} };
+      Object.values(data.boards).forEach(board => { this.records.boards[board.id] = JSON.stringify(board); });
+      Object.values(data.cards).forEach(card => { this.records.cards[card.id] = JSON.stringify(this.toRecord(card)); });
+    },
+
+    baseBoards() {
+      const base = { boards: {}, cards: {} };
+      Object.entries(this.records.boards).forEach(([id, json]) => { base.boards[id] = JSON.parse(json); });
+      Object.entries(this.records.cards).forEach(([id, json]) => { base.cards[id] = this.fromRecord(JSON.parse(json)); });
+      return serializeBoards(base);
+    },
+
+    async read() {
+      if (!this.db) this.db = await openDatabase();
+      const tx = this.db.transaction(IDB_STORES, 'readonly');
+      const [boards, cards, images, prefs] = await Promise.all([
+        idbRequest(tx.objectStore('boards').getAll()),
+        idbRequest(tx.objectStore('cards').getAll()),
+        idbRequest(tx.objectStore('images').getAll()),
+        idbRequest(tx.objectStore('meta').get('prefs'))
+      ]);
+      if (boards.length === 0) return null;
+
+      const storedImages = new Map();
+      for (const image of images) {
+        storedImages.set(image.id, this.storedImages.get(image.id) || await blobToDataUrl(image.blob));
+      }
+      this.storedImages = storedImages;
+      storedImages.forEach((dataUrl, id) => this.imageIds.set(dataUrl, id));
+
+      const data = { boards: {}, cards: {}, ...prefs };
+      boards.forEach(board => { data.boards[board.id] = board; });
+      cards.forEach(record => { data.cards[record.id] = this.fromRecord(record); });
+      return data;
+    },
+
+    async load() {
+      const data = await this.read();
+      this.remember(data || { boards: {}, cards: {} }, this.storedRevision());
+      return data;
+    },
+
+    async save(data) {
+      if (this.storedRevision() > this.revision) {
+        await pullFromOtherTab();
+        data = buildPayload();
+      }
+
+      const tx = this.db.transaction(IDB_STORES, 'readwrite');
+      const records = { boards: {}, cards: {} };
+      const newImages = new Map();
+      const usedImages = new Set();
+      let dirty = false;
+
+      Object.values(data.boards).forEach(board => {
+        const json = JSON.stringify(board);
+        records.boards[board.id] = json;
+        if (this.records.boards[board.id] === json) return;
+        tx.objectStore('boards').put(board);
+        dirty = true;
+      });
+      Object.values(data.cards).forEach(card => {
+        IMAGE_FIELDS.forEach(field => {
+          if (!isInlineImage(card[field])) return;
+          const id = this.imageId(card[field]);
+          usedImages.add(id);
+          if (!this.storedImages.has(id) && !newImages.has(id)) {
+            newImages.set(id, card[field]);
+            tx.objectStore('images').put({ id, blob: dataUrlToBlob(card[field]) });
+          }
+        });
+        const json = JSON.stringify(this.toRecord(card));
+        records.cards[card.id] = json;
+        if (this.records.cards[card.id] === json) return;
+        tx.objectStore('cards').put(JSON.parse(json));
+        dirty = true;
+      });
+      ['boards', 'cards'].forEach(kind => {
+        Object.keys(this.records[kind]).forEach(id => {
+          if (records[kind][id]) return;
+          tx.objectStore(kind).delete(id);
+          dirty = true;
+        });
+      });
+      this.storedImages.forEach((dataUrl, id) => {
+        if (!usedImages.has(id)) tx.objectStore('images').delete(id);
+      });
+
+      const prefs = JSON.stringify({ currentBoardId: data.currentBoardId, darkMode: data.darkMode, version: data.version });
+      if (prefs !== this.prefs) tx.objectStore('meta').put(JSON.parse(prefs), 'prefs');
+      await idbTransactionDone(tx);
+
+      this.records = records;
+      this.prefs = prefs;
+      newImages.forEach((dataUrl, id) => this.storedImages.set(id, dataUrl));
+      this.storedImages.forEach((dataUrl, id) => {
+        if (!usedImages.has(id)) this.storedImages.delete(id);
+      });
+      if (dirty) {
+        this.revision++;
+        localStorage.setItem(REVISION_KEY, String(this.revision));
+      }
+    }
+  };
+
+  // Passphrase mode: the whole payload is sealed with AES-GCM under a key
+  // derived from the passphrase (PBKDF2), and kept as one record in place of
+  // the plain IndexedDB stores (or localStorage entry without IndexedDB). The
+  // key only lives in memory; init asks for the passphrase every time.
+  const VAULT_KEY = 'quadro-planejamento-vault';
+  // Bumped when a tab turns the passphrase on, changes or removes it
+  const VAULT_SIGNAL_KEY = 'quadro-planejamento-vault-changed';
+  const VAULT_FORMAT = 'quadro-encrypted';
+  const VAULT_ITERATIONS = 600000;
+
+  function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
+  async function deriveVaultKey(passphrase, salt, iterations = VAULT_ITERATIONS) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  function isSealed(value) {
+    return !!value && value.format === VAULT_FORMAT && typeof value.data === 'string';
+  }
+
+  async function sealJson(value, key = vaultBackend.key, salt = vaultBackend.salt) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plain = new TextEncoder().encode(JSON.stringify(value));
+    const sealed = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plain));
+    return {
+      format: VAULT_FORMAT, version: 1, iterations: VAULT_ITERATIONS,
+      salt: bytesToBase64(salt), iv: bytesToBase64(iv), data: bytesToBase64(sealed)
+    };
+  }
+
+  // A wrong passphrase fails the GCM check; reported as code BAD_PASSPHRASE
+  async function openSealed(envelope, key = vaultBackend.key) {
     try {
-      const data = {
-        boards: state.boards,
-        cards: state.cards,
-        currentBoardId: state.currentBoardId,
-        darkMode: state.ui.darkMode,
-        version: 2
+      const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(envelope.iv) }, key, base64ToBytes(envelope.data));
+      return JSON.parse(new TextDecoder().decode(plain));
+    } catch (e) {
+      const err = new Error('Senha incorreta ou arquivo corrompido');
+      err.code = 'BAD_PASSPHRASE';
+      throw err;
+    }
+  }
+
+  // IndexedDB when the browser has it, else null
+  async function browserDatabase() {
+    if (!window.indexedDB) return null;
+    try {
+      if (!idbBackend.db) idbBackend.db = await openDatabase();
+      return idbBackend.db;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Small records kept beside the boards in this browser (trash, undo
+  // history): the IndexedDB meta store, or localStorage without it. Sealed
+  // while the passphrase is on.
+  async function readBrowserMeta(name, localKey) {
+    const db = await browserDatabase();
+    const stored = db
+      ? await idbRequest(db.transaction('meta', 'readonly').objectStore('meta').get(name))
+      : JSON.parse(localStorage.getItem(localKey) || 'null');
+    if (!isSealed(stored)) return stored;
+    return vaultActive() ? openSealed(stored) : null;
+  }
+
+  async function writeBrowserMeta(name, localKey, value) {
+    const db = await browserDatabase();
+    const stored = vaultActive() ? await sealJson(value) : value;
+    if (!db) {
+      localStorage.setItem(localKey, JSON.stringify(stored));
+      return;
+    }
+    const tx = db.transaction('meta', 'readwrite');
+    tx.objectStore('meta').put(stored, name);
+    await idbTransactionDone(tx);
+  }
+
+  const vaultBackend = {
+    name: 'vault',
+    key: null,
+    salt: null,
+    db: null,
+    revision: 0,
+    syncedBoards: {},
+
+    storedRevision() {
+      return localBackend.storedRevision();
+    },
+
+    async readEnvelope() {
+      this.db = await browserDatabase();
+      if (!this.db) return JSON.parse(localStorage.getItem(VAULT_KEY) || 'null');
+      const tx = this.db.transaction('meta', 'readonly');
+      return (await idbRequest(tx.objectStore('meta').get('vault'))) || null;
+    },
+
+    async writeEnvelope(envelope) {
+      if (!this.db) {
+        if (envelope) localStorage.setItem(VAULT_KEY, JSON.stringify(envelope));
+        else localStorage.removeItem(VAULT_KEY);
+        return;
+      }
+      const tx = this.db.transaction('meta', 'readwrite');
+      if (envelope) tx.objectStore('meta').put(envelope, 'vault');
+      else tx.objectStore('meta').delete('vault');
+      await idbTransactionDone(tx);
+    },
+
+    // Derives the key from the passphrase and checks it against what is stored
+    async unlock(passphrase) {
+      const envelope = await this.readEnvelope();
+      const salt = base64ToBytes(envelope.salt);
+      const key = await deriveVaultKey(passphrase, salt, envelope.iterations);
+      const data = await openSealed(envelope, key);
+      this.key = key;
+      this.salt = salt;
+      return data;
+    },
+
+    async read() {
+      const envelope = await this.readEnvelope();
+      if (!envelope) {
+        const err = new Error('A proteção por senha foi removida em outra aba; recarregue a página');
+        err.code = 'VAULT_CHANGED';
+        throw err;
+      }
+      return openSealed(envelope);
+    },
+
+    remember(data, revision) {
+      this.revision = revision;
+      this.syncedBoards = serializeBoards(data);
+    },
+
+    baseBoards() {
+      return this.syncedBoards;
+    },
+
+    async load() {
+      const data = await this.read();
+      this.remember(data, this.storedRevision());
+      return data;
+    },
+
+    async save(data) {
+      if (this.storedRevision() > this.revision) {
+        await pullFromOtherTab();
+        data = buildPayload();
+      }
+      await this.writeEnvelope(await sealJson(data));
+      const revision = this.revision + 1;
+      localStorage.setItem(REVISION_KEY, String(revision));
+      this.remember(data, revision);
+    }
+  };
+
+  async function apiRequest(method, url, body, headers = {}) {
+    const options = { method, headers: { ...headers } };
+    if (body instanceof Blob) {
+      options.headers['Content-Type'] = body.type;
+      options.body = body;
+    } else if (body !== undefined) {
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(body);
+    }
+    const res = await fetch(url, options);
+    if (!res.ok) {
+      let details = {};
+      try { details = await res.json(); } catch (e) { /* not JSON */ }
+      const err = new Error(details.error || `HTTP ${res.status}`);
+      err.status = res.status;
+      err.body = details;
+      throw err;
+    }
+    return res.status === 204 ? null : res.json();
+  }
+
+  // No answer at all, or a proxy saying the server behind it is down
+  function isUnreachable(err) {
+    return err.status === undefined || (err.status >= 502 && err.status <= 504);
+  }
+
+  // Server backend: one file per board behind the REST API in server.js.
+  // Only boards whose contents changed since the last sync are written, each
+  // conditioned on the revision this browser last saw (see CONFLICTS).
+  // View preferences (current board, dark mode) stay in this browser.
+  // The boards as last synced are also kept in the browser's meta store.
+  // While the server can't be reached the app keeps working from that copy,
+  // and saves queue there until one gets through.
+  const SERVER_CACHE_KEY = 'quadro-planejamento-server-cache';
+
+  const serverBackend = {
+    name: 'server',
+    syncedBoards: {},
+    revisions: {},
+    version: SCHEMA_VERSION,
+    offline: false,
+
+    async load() {
+      const prefs = JSON.parse(localStorage.getItem(PREFS_KEY) || '{}');
+      let data = null;
+      if (!this.offline) {
+        try {
+          data = await apiRequest('GET', '/api/workspace');
+        } catch (e) {
+          if (!isUnreachable(e) || !(await this.readCache())) throw e;
+          this.offline = true;
+        }
+      }
+      if (this.offline) {
+        const cached = await this.readCache();
+        this.syncedBoards = cached.syncedBoards;
+        this.revisions = cached.revisions;
+        this.version = cached.version;
+        data = cached.pending || this.cachedPayload();
+        return { ...data, currentBoardId: prefs.currentBoardId, darkMode: prefs.darkMode };
+      }
+      this.revisions = data.revisions || {};
+      delete data.revisions;
+      this.syncedBoards = serializeBoards(data);
+      this.version = data.version;
+      await this.writeCache(null);
+      return { ...data, currentBoardId: prefs.currentBoardId, darkMode: prefs.darkMode };
+    },
+
+    async save(data) {
+      localStorage.setItem(PREFS_KEY, JSON.stringify({ currentBoardId: data.currentBoardId, darkMode: data.darkMode }));
+      try {
+        const changed = await this.push(data);
+        if (changed || this.offline) await this.writeCache(null);
+        this.offline = false;
+      } catch (e) {
+        if (!isUnreachable(e)) throw e;
+        this.offline = true;
+        await this.writeCache(data);
+        throw Object.assign(e, { code: 'OFFLINE' });
+      }
+    },
+
+    // Returns whether anything was written
+    async push(data) {
+      let changed = false;
+      for (const boardId of Object.keys(data.boards)) {
+        const serialized = JSON.stringify(boardPayloadOf(data, boardId));
+        if (this.syncedBoards[boardId] === serialized) continue;
+        await this.putBoard(boardId, serialized);
+        changed = true;
+      }
+      for (const boardId of Object.keys(this.syncedBoards)) {
+        if (data.boards[boardId]) continue;
+        await this.deleteBoard(boardId);
+        changed = true;
+      }
+      return changed;
+    },
+
+    // Conditioned like putBoard: a board someone else changed since this
+    // browser last synced it is not deleted, and their copy comes back here
+    async deleteBoard(boardId) {
+      const headers = boardId in this.revisions ? { 'If-Match': `"${this.revisions[boardId]}"` } : {};
+      try {
+        await apiRequest('DELETE', `/api/boards/${encodeURIComponent(boardId)}`, undefined, headers);
+      } catch (e) {
+        if (e.status === 412 && e.body.current) {
+          const theirs = e.body.current;
+          this.revisions[boardId] = theirs.revision;
+          delete theirs.revision;
+          this.syncedBoards[boardId] = JSON.stringify(theirs);
+          keepDeletedBoard(boardId, theirs, this.revisions[boardId]);
+          return;
+        }
+        if (e.status !== 404) throw e;
+      }
+      this.forgetBoard(boardId);
+    },
+
+    readCache() {
+      return readBrowserMeta('server-cache', SERVER_CACHE_KEY);
+    },
+
+    // `pending` is the payload still to be sent, null once the server has it.
+    // Without the copy the app still works, just not offline
+    async writeCache(pending) {
+      const { syncedBoards, revisions, version } = this;
+      try {
+        await writeBrowserMeta('server-cache', SERVER_CACHE_KEY, { syncedBoards, revisions, version, pending });
+      } catch (e) {
+        console.error('Erro ao guardar a cópia dos quadros do servidor:', e);
+      }
+    },
+
+    cachedPayload() {
+      const data = { boards: {}, cards: {}, version: this.version };
+      Object.values(this.syncedBoards).forEach(serialized => {
+        const board = JSON.parse(serialized);
+        Object.assign(data.boards, board.boards);
+        Object.assign(data.cards, board.cards);
+      });
+      return data;
+    },
+
+    async putBoard(boardId, serialized, isRetry = false) {
+      const headers = boardId in this.revisions
+        ? { 'If-Match': `"${this.revisions[boardId]}"` }
+        : { 'If-None-Match': '*' };
+      try {
+        const result = await apiRequest('PUT', `/api/boards/${encodeURIComponent(boardId)}`, JSON.parse(serialized), headers);
+        this.revisions[boardId] = result.revision;
+        this.syncedBoards[boardId] = serialized;
+        publishLiveChanges([{ type: 'board:saved', id: boardId, revision: result.revision }]);
+      } catch (e) {
+        if (e.status === 409 && e.body.version) {
+          // Saved meanwhile by a newer version of the app; the backup offered
+          // is this tab's copy
+          throw Object.assign(e, { code: 'NEWER_SCHEMA', version: e.body.version, data: buildPayload() });
+        }
+        if (e.status !== 412 || isRetry) throw e;
+        const theirs = e.body.current;
+        if (theirs) {
+          this.revisions[boardId] = theirs.revision;
+          delete theirs.revision;
+          resolveBoardConflict(boardId, this.syncedBoards[boardId], theirs);
+          this.syncedBoards[boardId] = JSON.stringify(theirs);
+        } else {
+          // Deleted on the server while edited here: recreate it
+          delete this.revisions[boardId];
+        }
+        await this.putBoard(boardId, JSON.stringify(boardPayloadOf(buildPayload(), boardId)), true);
+      }
+    },
+
+    // Another client saved the board at this revision, and its changes have
+    // been applied here: the board as it is now matches the server's, unless
+    // edits made in this tab are still to be sent
+    adoptRevision(boardId, revision) {
+      if (!state.boards[boardId] || (this.revisions[boardId] || 0) >= revision) return;
+      this.revisions[boardId] = revision;
+      if (!this.hasPendingEdits(boardId)) this.syncedBoards[boardId] = JSON.stringify(boardPayloadOf(state, boardId));
+    },
+
+    hasPendingEdits(boardId) {
+      let synced = null;
+      const wasOnBoard = (id) => {
+        synced = synced || JSON.parse(this.syncedBoards[boardId] || '{"cards":{}}');
+        return id in synced.cards;
       };
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+      return [journal.changes, ...journal.saving].some(ids => ids.boards.has(boardId) ||
+        [...ids.cards].some(id => (state.cards[id] ? state.cards[id].boardId === boardId : wasOnBoard(id))));
+    },
+
+    forgetBoard(boardId) {
+      delete this.syncedBoards[boardId];
+      delete this.revisions[boardId];
+    }
+  };
+
+  let storage = localBackend;
+
+  // Use the server backend only when the app is served by server.js;
+  // otherwise prefer IndexedDB and fall back to localStorage
+  async function detectStorageBackend() {
+    if (/^https?:$/.test(location.protocol)) {
+      try {
+        const status = await apiRequest('GET', '/api/status');
+        if (status && status.app === 'quadro-planejamento') return serverBackend;
+      } catch (e) {
+        // A browser that has used the server before stays with its copy of
+        // the server's boards instead of opening a different store
+        if (isUnreachable(e) && await serverBackend.readCache().catch(() => null)) {
+          serverBackend.offline = true;
+          return serverBackend;
+        }
+        // Static hosting without the API
+      }
+    }
+    if (await vaultBackend.readEnvelope()) return vaultBackend;
+    return await browserBackend();
+  }
+
+  async function browserBackend() {
+    if (!window.indexedDB) return localBackend;
+    try {
+      if (!idbBackend.db) idbBackend.db = await openDatabase();
+      return idbBackend;
     } catch (e) {
+      // Private browsing modes may refuse IndexedDB
+      console.error('IndexedDB indisponível:', e);
+      return localBackend;
+    }
+  }
+
+  let saveQueue = Promise.resolve();
+  let lastSaveErrorToast = 0;
+  // Set when the stored data belongs to a newer version of the app: nothing
+  // is written back so that data is never overwritten by this older code
+  let storageLocked = false;
+  let storageLockReason = '';
+
+  function saveToStorage() {
+    if (isPreviewing()) return saveQueue;
+    if (storageLocked) {
+      setSaveStatus('locked', storageLockReason);
+      return saveQueue;
+    }
+    const data = buildPayload();
+    const saving = journal.enabled ? takeChanges(journal.changes) : null;
+    if (saving) journal.saving.push(saving);
+    const changeCount = journal.changeCount;
+    if (dom.saveStatus && dom.saveStatus.dataset.status !== 'saved') setSaveStatus('saving');
+    saveQueue = saveQueue.then(async () => {
+      const wasOffline = storage.offline;
+      await storage.save(data);
+      if (wasOffline) showToast('🔌 Servidor disponível de novo. Alterações enviadas.');
+    }).then(() => {
+      // The payload held everything earlier saves that failed had too
+      if (saving) journal.saving = journal.saving.slice(journal.saving.indexOf(saving) + 1);
+      // Edits made while this save ran still wait for the next one
+      if (journal.changeCount === changeCount) setSaveStatus('saved');
+      writeJournal();
+      updateStorageUsageSoon();
+    }).catch((e) => {
+      if (e.code === 'NEWER_SCHEMA') {
+        refuseStoredData(e);
+        setSaveStatus('locked', storageLockReason);
+        return;
+      }
+      if (e.code === 'OFFLINE') {
+        setSaveStatus('offline', SERVER_OFFLINE_DETAIL);
+        return;
+      }
+      setSaveStatus('error', 'Falha ao salvar: ' + (e.message || e.name) + '. Clique para tentar de novo.');
       if (e.name === 'QuotaExceededError') {
         showToast('⚠️ Armazenamento cheio! Considere exportar e limpar dados antigos.');
+        updateStorageUsage();
+      } else if (Date.now() - lastSaveErrorToast > 10000) {
+        lastSaveErrorToast = Date.now();
+        showToast(storage === serverBackend
+          ? '⚠️ Não foi possível salvar no servidor. Tentando novamente...'
+          : '⚠️ Não foi possível salvar. As alterações ficam guardadas para recuperação.');
       }
       console.error('Erro ao salvar:', e);
+    });
+    return saveQueue;
+  }
+
+  const scheduleSave = debounce(saveToStorage, 500);
+
+  function autoSave() {
+    if (isPreviewing()) return;
+    journal.changeCount++;
+    if (!storageLocked) setSaveStatus('pending');
+    writeJournalSoon();
+    noteHistoryChange();
+    scheduleSave();
+    publishLiveChangesSoon();
+  }
+
+  // --- Save status and journal ---
+  // The top bar shows whether the last change reached storage. Until it
+  // does, the changed boards and cards are also kept in a small localStorage
+  // journal, written right away, so a crash or a failing save doesn't lose
+  // them: the next load offers to put them back. Inline images stay out of
+  // localStorage: the journal names them by their undo tokens and keeps the
+  // data in the browser's meta store, written only when that set changes.
+  const JOURNAL_KEY = 'quadro-planejamento-journal';
+  const JOURNAL_IMAGES_KEY = 'quadro-planejamento-journal-images';
+  const SAVE_STATUS_LABELS = {
+    saved: 'Salvo',
+    pending: 'Alterações não salvas',
+    saving: 'Salvando...',
+    error: 'Falha ao salvar',
+    locked: 'Salvamento desativado',
+    offline: 'Offline'
+  };
+  const SERVER_OFFLINE_DETAIL = 'Servidor fora do ar. As alterações ficam neste navegador e são enviadas quando ele voltar.';
+  const journal = {
+    tabId: uid(),
+    enabled: false,
+    // Ids of the boards and cards changed since the last save started...
+    changes: null,
+    // ...and of those handed to saves that haven't landed, one set per save
+    saving: [],
+    changeCount: 0,
+    writes: Promise.resolve(),
+    // Tokens of the images last written next to the entry
+    imageTokens: ''
+  };
+
+  function setSaveStatus(status, detail) {
+    if (!dom.saveStatus) return;
+    dom.saveStatus.dataset.status = status;
+    dom.saveStatus.querySelector('.save-label').textContent = SAVE_STATUS_LABELS[status];
+    dom.saveStatus.title = detail || (status === 'saved'
+      ? `Salvo às ${new Date().toLocaleTimeString('pt-BR')} (${STORAGE_LABELS[storage.name]})`
+      : SAVE_STATUS_LABELS[status]);
+  }
+
+  // Swaps inline images for tokens, collecting the data into `images`
+  function journalRecord(record, images) {
+    let copy = record;
+    IMAGE_FIELDS.forEach(field => {
+      if (!isInlineImage(record[field])) return;
+      if (copy === record) copy = { ...record };
+      copy[field] = historyImageToken(record[field]);
+      images[copy[field]] = record[field];
+    });
+    return copy;
+  }
+
+  // Records changed since the last save that landed; null marks a deletion
+  function journalChanges(images) {
+    const changes = { boards: {}, cards: {} };
+    let count = 0;
+    [journal.changes, ...journal.saving].forEach(ids => ['boards', 'cards'].forEach(kind => {
+      ids[kind].forEach(id => {
+        if (id in changes[kind]) return;
+        const record = state[kind][id];
+        changes[kind][id] = record ? journalRecord(record, images) : null;
+        count++;
+      });
+    }));
+    return count ? changes : null;
+  }
+
+  function writeJournalImages(images) {
+    const tokens = Object.keys(images).sort().join(' ');
+    if (tokens === journal.imageTokens) return;
+    journal.imageTokens = tokens;
+    journal.writes = journal.writes.then(() => writeBrowserMeta('journal-images', JOURNAL_IMAGES_KEY, { images }))
+      .catch(e => console.error('Erro ao gravar as imagens do diário de alterações:', e));
+  }
+
+  async function readJournalImages() {
+    try {
+      const stored = await readBrowserMeta('journal-images', JOURNAL_IMAGES_KEY);
+      return (stored && stored.images) || {};
+    } catch (e) {
+      console.error('Imagens do diário de alterações ilegíveis:', e);
+      return {};
+    }
+  }
+
+  function writeJournal() {
+    if (!journal.enabled || isPreviewing()) return;
+    try {
+      const images = {};
+      const changes = journalChanges(images);
+      const entry = changes && {
+        tabId: journal.tabId, updatedAt: Date.now(), version: SCHEMA_VERSION,
+        currentBoardId: state.currentBoardId, ...changes
+      };
+      writeJournalImages(images);
+      if (vaultActive()) {
+        // Sealing is async; chained so an older entry never lands last
+        journal.writes = journal.writes.then(async () => {
+          if (entry) localStorage.setItem(JOURNAL_KEY, JSON.stringify({ ...await sealJson(entry), tabId: journal.tabId }));
+          else dropOwnJournal();
+        }).catch(e => console.error('Erro ao gravar o diário de alterações:', e));
+      } else if (entry) {
+        localStorage.setItem(JOURNAL_KEY, JSON.stringify(entry));
+      } else {
+        dropOwnJournal();
+      }
+    } catch (e) {
+      // The journal is a safety net; a full localStorage must not break editing
+      console.error('Erro ao gravar o diário de alterações:', e);
+    }
+  }
+
+  // Another tab's unsaved changes are not ours to drop
+  function dropOwnJournal() {
+    const stored = JSON.parse(localStorage.getItem(JOURNAL_KEY) || 'null');
+    if (stored && stored.tabId === journal.tabId) localStorage.removeItem(JOURNAL_KEY);
+  }
+
+  const writeJournalSoon = debounce(writeJournal, 100);
+
+  // Reads what an earlier session left behind, then starts journaling
+  // against the data just loaded
+  async function startJournal() {
+    let recovered = null;
+    try {
+      recovered = JSON.parse(localStorage.getItem(JOURNAL_KEY) || 'null');
+      if (isSealed(recovered)) recovered = vaultActive() ? await openSealed(recovered) : null;
+    } catch (e) {
+      console.error('Diário de alterações ilegível:', e);
+    }
+    journal.changes = createChangeTracker();
+    journal.enabled = true;
+    window.addEventListener('pagehide', writeJournal);
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') writeJournal();
+    });
+    if (!recovered || recovered.version !== SCHEMA_VERSION) return null;
+    const images = await readJournalImages();
+    ['boards', 'cards'].forEach(kind => Object.values(recovered[kind] || {}).forEach(record => {
+      if (!record) return;
+      IMAGE_FIELDS.forEach(field => {
+        const value = record[field];
+        if (typeof value === 'string' && value.startsWith(HISTORY_IMAGE_PREFIX)) record[field] = images[value] || null;
+      });
+    }));
+    // Nothing left to restore if those changes did get saved after all
+    const pending = ['boards', 'cards'].some(kind => Object.entries(recovered[kind] || {})
+      .some(([id, record]) => JSON.stringify(state[kind][id]) !== (record ? JSON.stringify(record) : undefined)));
+    if (!pending) {
+      localStorage.removeItem(JOURNAL_KEY);
+      return null;
     }
+    return recovered;
   }
 
-  const autoSave = debounce(saveToStorage, 500);
+  // Returns whether a dialog was shown
+  function offerJournalRestore(recovered) {
+    if (!recovered) return false;
+    const cardCount = Object.keys(recovered.cards || {}).length;
+    const boardCount = Object.keys(recovered.boards || {}).length;
+    const when = new Date(recovered.updatedAt).toLocaleString('pt-BR');
+    showModal('Alterações não salvas', `
+      <p class="import-intro">Encontramos alterações de ${when} que não chegaram a ser salvas (${cardCount} cartão(ões), ${boardCount} quadro(s)), provavelmente por uma falha ao salvar ou porque a aba foi fechada de repente.</p>
+      <p class="storage-note">Confirme para restaurá-las. Se cancelar, elas serão descartadas.</p>
+    `, () => {
+      pushHistory();
+      ['boards', 'cards'].forEach(kind => {
+        Object.entries(recovered[kind] || {}).forEach(([id, record]) => {
+          if (record) state[kind][id] = record;
+          else delete state[kind][id];
+          markDirty(kind, id);
+        });
+      });
+      if (state.boards[recovered.currentBoardId]) state.currentBoardId = recovered.currentBoardId;
+      renderCurrentBoard();
+      autoSave();
+      showToast('✅ Alterações restauradas!');
+      // The stored data may have moved on since; after this dialog has closed
+      setTimeout(offerIntegrityRepair);
+    });
+    return true;
+  }
 
-  function loadFromStorage() {
+  async function loadFromStorage() {
     try {
-      const raw = localStorage.getItem(STORAGE_KEY);
-      if (!raw) return false;
-      const data = JSON.parse(raw);
+      storage = await detectStorageBackend();
+      if (storage === vaultBackend) await unlockVaultOnStart();
+      let data = await storage.load();
+
+      if (storage === serverBackend && serverBackend.offline) {
+        showToast('📴 Servidor fora do ar. Usando a última cópia guardada neste navegador.', 5000);
+      }
+
+      // First run against the server: upload boards kept in this browser
+      if (storage === serverBackend && !serverBackend.offline && Object.keys(data.boards).length === 0) {
+        const browser = await browserBackend();
+        let local = await browser.load().catch(() => null);
+        if (!local && browser !== localBackend) local = await localBackend.load().catch(() => null);
+        if (local && local.boards && Object.keys(local.boards).length > 0) {
+          data = migrateData(local).data;
+          await serverBackend.save(data);
+          showToast('☁️ Quadros locais enviados para o servidor');
+        }
+      }
+
+      // First run with IndexedDB: move the localStorage copy over
+      if (storage === idbBackend && !data) {
+        const local = await localBackend.load().catch(() => null);
+        if (local && local.boards && Object.keys(local.boards).length > 0) {
+          data = migrateData(local).data;
+          await idbBackend.save(data);
+          localStorage.removeItem(STORAGE_KEY);
+          showToast('📦 Dados movidos para o armazenamento do navegador (IndexedDB)');
+        }
+      }
+
+      if (!data) return false;
+      data = migrateData(data).data;
       if (data.boards) state.boards = data.boards;
       if (data.cards) state.cards = data.cards;
       if (data.currentBoardId) state.currentBoardId = data.currentBoardId;
       if (data.darkMode !== undefined) state.ui.darkMode = data.darkMode;
+      // A browser opening shared boards for the first time has no current board yet
+      if (!state.boards[state.currentBoardId]) {
+        const root = Object.values(state.boards).find(b => !b.parentId);
+        if (root) state.currentBoardId = root.id;
+      }
       return true;
     } catch (e) {
       console.error('Erro ao carregar dados:', e);
+      if (e.code === 'NEWER_SCHEMA' || e.code === 'INVALID_DATA') {
+        refuseStoredData(e);
+      } else if (storage === vaultBackend) {
+        // Never let a fresh welcome board replace the sealed data
+        storageLocked = true;
+        storageLockReason = 'Os quadros protegidos por senha não puderam ser abertos';
+        showToast('❌ Não foi possível abrir os quadros protegidos por senha neste navegador.', 8000);
+      }
       return false;
     }
   }
 
-  function exportData() {
-    const data = {
-      boards: state.boards,
-      cards: state.cards,
-      exportedAt: new Date().toISOString(),
-      version: 2
-    };
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `quadro-planejamento-${new Date().toISOString().slice(0, 10)}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
-    showToast('✅ Dados exportados com sucesso!');
+  // --- Storage usage ---
+  const STORAGE_LABELS = { local: 'localStorage', indexeddb: 'IndexedDB', server: 'Servidor', vault: 'Navegador (criptografado)' };
+  const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+
+  function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let i = 0;
+    while (bytes >= 1024 && i < units.length - 1) { bytes /= 1024; i++; }
+    return bytes.toLocaleString('pt-BR', { maximumFractionDigits: i ? 1 : 0 }) + ' ' + units[i];
   }
 
-  function importData(file) {
-    const reader = new FileReader();
-    reader.onload = (e) => {
+  // localStorage is not covered by navigator.storage.estimate() in every
+  // browser, so its usage is measured from our own entries against the usual
+  // 5 MB limit
+  async function estimateStorage() {
+    if (storage === localBackend || (storage === vaultBackend && !vaultBackend.db)) {
+      const keys = [STORAGE_KEY, REVISION_KEY, PREFS_KEY, JOURNAL_KEY, TRASH_KEY, VAULT_KEY, HISTORY_KEY]
+        .concat(Object.keys(localStorage).filter(key => key.startsWith(CHECKPOINT_KEY + ':')));
+      const usage = keys.reduce((sum, key) => sum + (localStorage.getItem(key) || '').length * 2, 0);
+      return { usage, quota: LOCAL_STORAGE_QUOTA };
+    }
+    if (!navigator.storage || !navigator.storage.estimate) return null;
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return { usage, quota };
+  }
+
+  async function updateStorageUsage() {
+    if (!dom.storageBtn) return null;
+    const estimate = storage === serverBackend ? null : await estimateStorage().catch(() => null);
+    dom.storageBtn.classList.toggle('hidden', !estimate);
+    if (!estimate) return null;
+    const ratio = estimate.quota ? estimate.usage / estimate.quota : 0;
+    dom.storageMeter.style.width = Math.min(100, Math.max(ratio * 100, 4)) + '%';
+    dom.storageBtn.classList.toggle('storage-warning', ratio > 0.8);
+    dom.storageBtn.title = `Armazenamento (${STORAGE_LABELS[storage.name]}): ${formatBytes(estimate.usage)} de ${formatBytes(estimate.quota)}`;
+    return estimate;
+  }
+
+  const updateStorageUsageSoon = throttle(updateStorageUsage, 5000);
+
+  async function showStorageDetails() {
+    const estimate = await updateStorageUsage();
+    if (!estimate) return;
+    const images = new Set();
+    Object.values(state.cards).forEach(card => {
+      IMAGE_FIELDS.forEach(field => { if (isInlineImage(card[field])) images.add(card[field]); });
+    });
+    const imageBytes = [...images].reduce((sum, dataUrl) => sum + Math.round(dataUrl.length * 0.75), 0);
+    const persisted = navigator.storage && navigator.storage.persisted ? await navigator.storage.persisted() : false;
+    const percent = estimate.quota ? (estimate.usage / estimate.quota * 100).toLocaleString('pt-BR', { maximumFractionDigits: 1 }) : '0';
+    showModal('Armazenamento', `
+      <dl class="storage-details">
+        <dt>Local</dt><dd>${STORAGE_LABELS[storage.name]}</dd>
+        <dt>Em uso</dt><dd>${formatBytes(estimate.usage)} de ${formatBytes(estimate.quota)} (${percent}%)</dd>
+        <dt>Quadros</dt><dd>${Object.keys(state.boards).length}</dd>
+        <dt>Cartões</dt><dd>${Object.keys(state.cards).length}</dd>
+        <dt>Imagens</dt><dd>${images.size} (${formatBytes(imageBytes)})</dd>
+        <dt>Persistente</dt><dd>${persisted ? 'Sim' : 'Não — o navegador pode apagar os dados se faltar espaço'}</dd>
+      </dl>
+      ${storage === localBackend ? '<p class="storage-note">Este navegador não oferece IndexedDB; os dados ficam limitados a cerca de 5 MB.</p>' : ''}
+      ${vaultOptionsHtml()}
+    `, async () => {
+      if (persisted || !navigator.storage || !navigator.storage.persist) return;
+      const granted = await navigator.storage.persist();
+      showToast(granted ? '🔒 Armazenamento persistente ativado' : '⚠️ O navegador não permitiu armazenamento persistente');
+    });
+    const vaultActions = { enable: enableVault, change: changeVaultPassphrase, remove: removeVault };
+    dom.modalBody.querySelectorAll('[data-vault-action]').forEach(btn => btn.addEventListener('click', () => {
+      vaultActions[btn.dataset.vaultAction]();
+    }));
+  }
+
+  // Web Crypto only exists on secure origins (https, localhost, file)
+  function vaultOptionsHtml() {
+    if (storageLocked || !window.crypto || !crypto.subtle) return '';
+    if (vaultActive()) {
+      return `
+        <div class="storage-vault">
+          <p class="storage-note">🔒 Os quadros e as exportações em JSON são criptografados com uma senha.</p>
+          <button class="btn-secondary" data-vault-action="change">Alterar senha</button>
+          <button class="btn-secondary danger" data-vault-action="remove">Remover senha</button>
+        </div>`;
+    }
+    return `
+      <div class="storage-vault">
+        <p class="storage-note">Proteja os quadros deste navegador com uma senha: eles passam a ser salvos criptografados.</p>
+        <button class="btn-secondary" data-vault-action="enable">Proteger com senha</button>
+      </div>`;
+  }
+
+  // --- Passphrase ---
+  const MIN_PASSPHRASE_LENGTH = 8;
+
+  // Resolves with the values of the dialog's password fields, or null when
+  // the dialog is dismissed
+  function promptPassphrase(title, intro, fields, { required = false } = {}) {
+    return new Promise(resolve => {
+      showModal(title, `
+        <p class="import-intro">${intro}</p>
+        ${fields.map((label, i) => `<label for="passphrase-${i}">${label}</label><input type="password" id="passphrase-${i}" autocomplete="off">`).join('')}
+      `, () => {
+        resolve(fields.map((label, i) => dom.modalBody.querySelector(`#passphrase-${i}`).value));
+      }, () => resolve(null));
+      // Also needed before initEvents has bound Enter on the modal
+      dom.modalBody.querySelectorAll('input').forEach(input => input.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+        e.stopPropagation();
+        dom.modalConfirm.click();
+      }));
+      // The app can't start without it
+      dom.modalCancel.classList.toggle('hidden', required);
+      dom.modalClose.classList.toggle('hidden', required);
+    });
+  }
+
+  function restoreModalButtons() {
+    dom.modalCancel.classList.remove('hidden');
+    dom.modalClose.classList.remove('hidden');
+  }
+
+  async function unlockVaultOnStart() {
+    let intro = 'Os quadros deste navegador estão protegidos por senha.';
+    for (;;) {
+      const answer = await promptPassphrase('🔒 Quadros protegidos', intro, ['Senha'], { required: true });
+      // Escape or a click outside closed it; ask again
+      if (!answer) continue;
       try {
-        const data = JSON.parse(e.target.result);
-        if (!data.boards || !data.cards) throw new Error('Formato inválido');
-        pushHistory();
-        state.boards = data.boards;
-        state.cards = data.cards;
-        const boardIds = Object.keys(state.boards);
-        state.currentBoardId = boardIds[0] || null;
-        if (!state.currentBoardId) createRootBoard();
-        renderCurrentBoard();
-        autoSave();
-        showToast('✅ Dados importados com sucesso!');
-      } catch (err) {
-        showToast('❌ Erro ao importar: arquivo inválido.');
-        console.error(err);
+        await vaultBackend.unlock(answer[0]);
+        restoreModalButtons();
+        return;
+      } catch (e) {
+        if (e.code !== 'BAD_PASSPHRASE') throw e;
+        intro = '❌ Senha incorreta. Tente de novo.';
       }
-    };
-    reader.readAsText(file);
+    }
+  }
+
+  async function askNewPassphrase(title, intro) {
+    const answer = await promptPassphrase(title, intro, ['Nova senha', 'Repita a nova senha']);
+    if (!answer) return null;
+    const [passphrase, repeated] = answer;
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      showToast(`⚠️ A senha precisa ter pelo menos ${MIN_PASSPHRASE_LENGTH} caracteres.`);
+      return null;
+    }
+    if (passphrase !== repeated) {
+      showToast('⚠️ As senhas não conferem.');
+      return null;
+    }
+    return passphrase;
+  }
+
+  async function checkCurrentPassphrase(title) {
+    const answer = await promptPassphrase(title, 'Digite a senha atual.', ['Senha atual']);
+    if (!answer) return false;
+    try {
+      await vaultBackend.unlock(answer[0]);
+      return true;
+    } catch (e) {
+      showToast(e.code === 'BAD_PASSPHRASE' ? '❌ Senha incorreta.' : '❌ Não foi possível verificar a senha.');
+      if (e.code !== 'BAD_PASSPHRASE') console.error(e);
+      return false;
+    }
+  }
+
+  // What else this browser keeps about the boards and can't be rebuilt from
+  // memory (trash, checkpoints), read before the key changes
+  async function readVaultExtras() {
+    const checkpoints = {};
+    for (const boardId of await checkpointStore.browserBoardIds()) {
+      checkpoints[boardId] = await browserCheckpoints(boardId);
+    }
+    return { trash: await trash.list(), checkpoints };
+  }
+
+  // Rewrites what else this browser keeps about the boards (trash,
+  // checkpoints, undo history, journal) in the current mode and tells other
+  // tabs to reload
+  async function afterVaultChange(extras) {
+    await trash.replace(extras.trash);
+    for (const [boardId, checkpoints] of Object.entries(extras.checkpoints)) {
+      await writeBrowserCheckpoints(boardId, checkpoints);
+    }
+    await saveHistory();
+    writeJournal();
+    if (dom.saveStatus.dataset.status === 'saved') setSaveStatus('saved');
+    localStorage.setItem(VAULT_SIGNAL_KEY, String(Date.now()));
+    updateStorageUsage();
+  }
+
+  async function enableVault() {
+    const passphrase = await askNewPassphrase('🔒 Proteger com senha', 'Os quadros passam a ser salvos criptografados neste navegador, assim como as exportações em JSON. A senha será pedida sempre que o aplicativo abrir. <strong>Sem ela não há como recuperar os dados.</strong>');
+    if (!passphrase) return;
+    try {
+      await saveQueue;
+      const previous = storage;
+      const extras = await readVaultExtras();
+      vaultBackend.salt = crypto.getRandomValues(new Uint8Array(16));
+      vaultBackend.key = await deriveVaultKey(passphrase, vaultBackend.salt);
+      vaultBackend.db = await browserDatabase();
+      const data = buildPayload();
+      vaultBackend.remember(data, vaultBackend.storedRevision());
+      await vaultBackend.save(data);
+      storage = vaultBackend;
+      await clearPlainBrowserData(previous);
+      await afterVaultChange(extras);
+      showToast('🔒 Quadros protegidos por senha');
+    } catch (e) {
+      console.error('Erro ao ativar a senha:', e);
+      if (storage !== vaultBackend) vaultBackend.key = null;
+      showToast('❌ Não foi possível ativar a proteção por senha.');
+    }
+  }
+
+  async function changeVaultPassphrase() {
+    if (!await checkCurrentPassphrase('🔑 Alterar senha')) return;
+    const passphrase = await askNewPassphrase('🔑 Alterar senha', 'Escolha a nova senha.');
+    if (!passphrase) return;
+    try {
+      await saveQueue;
+      const extras = await readVaultExtras();
+      vaultBackend.salt = crypto.getRandomValues(new Uint8Array(16));
+      vaultBackend.key = await deriveVaultKey(passphrase, vaultBackend.salt);
+      await vaultBackend.save(buildPayload());
+      await afterVaultChange(extras);
+      showToast('🔑 Senha alterada');
+    } catch (e) {
+      console.error('Erro ao alterar a senha:', e);
+      showToast('❌ Não foi possível alterar a senha.');
+    }
+  }
+
+  async function removeVault() {
+    if (!await checkCurrentPassphrase('🔓 Remover senha')) return;
+    try {
+      await saveQueue;
+      const extras = await readVaultExtras();
+      const browser = await browserBackend();
+      browser.remember({ boards: {}, cards: {} }, browser.storedRevision());
+      await browser.save(buildPayload());
+      storage = browser;
+      await vaultBackend.writeEnvelope(null);
+      vaultBackend.key = null;
+      vaultBackend.salt = null;
+      await afterVaultChange(extras);
+      showToast('🔓 Proteção por senha removida');
+    } catch (e) {
+      console.error('Erro ao remover a senha:', e);
+      showToast('❌ Não foi possível remover a senha.');
+    }
+  }
+
+  // Drops the unencrypted copy once the sealed one is written
+  async function clearPlainBrowserData(backend) {
+    localStorage.removeItem(STORAGE_KEY);
+    localStorage.removeItem(JOURNAL_KEY);
+    if (backend !== idbBackend || !idbBackend.db) return;
+    const tx = idbBackend.db.transaction(IDB_STORES, 'readwrite');
+    ['boards', 'cards', 'images'].forEach(name => tx.objectStore(name).clear());
+    tx.objectStore('meta').delete('prefs');
+    await idbTransactionDone(tx);
+    idbBackend.remember({ boards: {}, cards: {} }, idbBackend.storedRevision());
+    idbBackend.storedImages = new Map();
+    idbBackend.prefs = null;
+  }
+
+  // Another tab turned the passphrase on, changed or removed it: this tab's
+  // key or backend is stale, so stop saving until it reloads
+  function onVaultChangedElsewhere() {
+    if (storageLocked) return;
+    storageLocked = true;
+    storageLockReason = 'A proteção por senha foi alterada em outra aba';
+    setSaveStatus('locked', storageLockReason);
+    showModal('Proteção por senha alterada', `
+      <p class="import-intro">A proteção por senha dos quadros foi alterada em outra aba. Para não sobrescrever os dados, nada mais será salvo nesta aba.</p>
+      <p class="storage-note">Clique em <strong>Confirmar</strong> para recarregar.</p>
+    `, () => location.reload());
+  }
+
+  function vaultActive() {
+    return storage === vaultBackend && !!vaultBackend.key;
+  }
+
+  // JSON exports are sealed too while the passphrase is on
+  async function exportJson(data) {
+    return vaultActive()
+      ? JSON.stringify(await sealJson(data))
+      : JSON.stringify(data, null, 2);
+  }
+
+  // Asks for the passphrase of an encrypted export until it opens
+  async function openSealedFile(envelope) {
+    let intro = 'Este arquivo está protegido por senha.';
+    for (;;) {
+      const answer = await promptPassphrase('🔒 Arquivo protegido', intro, ['Senha']);
+      if (!answer) return null;
+      try {
+        const key = await deriveVaultKey(answer[0], base64ToBytes(envelope.salt), envelope.iterations);
+        return await openSealed(envelope, key);
+      } catch (e) {
+        if (e.code !== 'BAD_PASSPHRASE') throw e;
+        intro = '❌ Senha incorreta. Tente de novo.';
+      }
+    }
+  }
+
+  function downloadFile(content, filename, type) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  async function exportData() {
+    const data = {
+      boards: state.boards,
+      cards: state.cards,
+      exportedAt: new Date().toISOString(),
+      version: SCHEMA_VERSION
+    };
+    downloadFile(await exportJson(data), `quadro-planejamento-${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
+    showToast('✅ Dados exportados com sucesso!');
+  }
+
+  function importData(file) {
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+      try {
+        let raw = JSON.parse(e.target.result);
+        if (isSealed(raw)) {
+          raw = await openSealedFile(raw);
+          if (!raw) return;
+        }
+        if (isTrelloExport(raw)) {
+          importTrelloBoard(raw);
+          return;
+        }
+        const { data, report: legacyReport } = migrateData(raw);
+        showImportDialog(data, legacyReport);
+      } catch (err) {
+        if (err.code === 'NEWER_SCHEMA') {
+          showToast(`❌ Este arquivo foi criado por uma versão mais nova do Quadro (v${err.version}). Atualize o aplicativo para importá-lo.`, 8000);
+        } else {
+          showToast('❌ Erro ao importar: arquivo inválido.');
+        }
+        console.error(err);
+      }
+    };
+    reader.readAsText(file);
+  }
+
+  // ============= CONFLICTS =============
+  // Three-way merge of one board: the base is the copy this browser last
+  // agreed on with the server, "mine" is the local state and "theirs" the
+  // server's newer copy. Changes to different cards, or to different fields
+  // of the same card, merge silently; the same field changed on both sides
+  // is a conflict the user settles in a dialog.
+  const SOFT_CARD_FIELDS = ['updatedAt', 'zIndex'];
+  const stableKey = (value) => (value === undefined ? undefined : JSON.stringify(value));
+  const withoutSoftFields = (card) => {
+    if (!card) return card;
+    const copy = { ...card };
+    SOFT_CARD_FIELDS.forEach(f => delete copy[f]);
+    return copy;
+  };
+
+  function merge3(base, mine, theirs, key = stableKey) {
+    const kb = key(base), km = key(mine), kt = key(theirs);
+    if (km === kt || kt === kb) return { value: mine };
+    if (km === kb) return { value: theirs };
+    return { value: mine, conflict: true };
+  }
+
+  // Plain id lists: keep my order, add what they added, drop what they removed
+  function mergeIdList(base = [], mine = [], theirs = []) {
+    const added = theirs.filter(id => !base.includes(id) && !mine.includes(id));
+    const removed = base.filter(id => !theirs.includes(id));
+    return [...mine, ...added].filter(id => !removed.includes(id));
+  }
+
+  // Lists of objects with an id (todo items, connections), merged per element
+  function mergeById(base = [], mine = [], theirs = []) {
+    const index = (list) => new Map(list.map(x => [x.id, x]));
+    const b = index(base), m = index(mine), t = index(theirs);
+    const ids = [...new Set([...m.keys(), ...t.keys(), ...b.keys()])];
+    let conflict = false;
+    const value = [];
+    ids.forEach(id => {
+      const r = merge3(b.get(id), m.get(id), t.get(id));
+      if (r.conflict) conflict = true;
+      if (r.value !== undefined) value.push(r.value);
+    });
+    return { value, conflict };
+  }
+
+  function mergeCard(base, mine, theirs) {
+    // Created or deleted on one side: compare the cards as a whole
+    if (!mine || !theirs) return merge3(base, mine, theirs, c => stableKey(withoutSoftFields(c)));
+    base = base || {};
+    const merged = {};
+    let conflict = false;
+    new Set([...Object.keys(base), ...Object.keys(mine), ...Object.keys(theirs)]).forEach(field => {
+      let r;
+      if (field === 'updatedAt') r = { value: Math.max(mine.updatedAt || 0, theirs.updatedAt || 0) };
+      else if (field === 'childCardIds') r = { value: mergeIdList(base[field], mine[field], theirs[field]) };
+      else if (field === 'items') r = mergeById(base[field], mine[field], theirs[field]);
+      else r = merge3(base[field], mine[field], theirs[field]);
+      if (r.conflict && !SOFT_CARD_FIELDS.includes(field)) conflict = true;
+      if (r.value !== undefined) merged[field] = r.value;
+    });
+    return { value: merged, conflict };
+  }
+
+  function mergeBoardPayloads(boardId, base, mine, theirs) {
+    base = base || { boards: {}, cards: {} };
+    const cards = {};
+    const conflicts = [];
+    new Set([...Object.keys(mine.cards), ...Object.keys(theirs.cards), ...Object.keys(base.cards)]).forEach(id => {
+      const r = mergeCard(base.cards[id], mine.cards[id], theirs.cards[id]);
+      if (r.value) cards[id] = r.value;
+      if (r.conflict) conflicts.push({ id, boardId, mine: mine.cards[id], theirs: theirs.cards[id] });
+    });
+
+    const bb = base.boards[boardId] || {};
+    const mb = mine.boards[boardId];
+    const tb = theirs.boards[boardId];
+    const board = {};
+    new Set([...Object.keys(mb), ...Object.keys(tb)]).forEach(field => {
+      if (VIEW_FIELDS.includes(field)) board[field] = mb[field];
+      else if (field === 'updatedAt') board[field] = Math.max(mb.updatedAt || 0, tb.updatedAt || 0);
+      else if (field === 'cardIds') board[field] = mergeIdList(bb.cardIds, mb.cardIds, tb.cardIds).filter(id => cards[id]);
+      else if (field === 'connections') {
+        board[field] = mergeById(bb.connections, mb.connections, tb.connections).value
+          .filter(c => cards[c.fromCardId] && cards[c.toCardId]);
+      } else {
+        const r = merge3(bb[field], mb[field], tb[field]);
+        if (r.value !== undefined) board[field] = r.value;
+      }
+    });
+
+    return { payload: { boards: { [boardId]: board }, cards, version: SCHEMA_VERSION }, conflicts };
+  }
+
+  function applyBoardPayload(boardId, payload) {
+    Object.values(state.cards).forEach(c => {
+      if (c.boardId === boardId && !payload.cards[c.id]) {
+        delete state.cards[c.id];
+        markDirty('cards', c.id);
+      }
+    });
+    Object.assign(state.cards, payload.cards);
+    markRecordsDirty(payload);
+    if (state.boards[boardId]) replaceContents(state.boards[boardId], payload.boards[boardId]);
+    else state.boards[boardId] = payload.boards[boardId];
+    state.selectedCardIds.forEach(id => { if (!state.cards[id]) state.selectedCardIds.delete(id); });
+  }
+
+  function resolveBoardConflict(boardId, baseSerialized, theirs) {
+    const mine = boardPayloadOf(buildPayload(), boardId);
+    const base = baseSerialized ? JSON.parse(baseSerialized) : null;
+    const { payload, conflicts } = mergeBoardPayloads(boardId, base, mine, theirs);
+    applyExternalChange(() => applyBoardPayload(boardId, payload));
+    if (boardId === state.currentBoardId) renderCurrentBoard();
+    if (conflicts.length) {
+      pendingConflicts.push(...conflicts);
+      showConflictDialog();
+    } else {
+      showToast('🔀 Alterações de outra pessoa foram mescladas.');
+    }
+  }
+
+  // A board deleted here that someone else changed meanwhile stays, with
+  // their copy. Nothing here links to it any more, so the integrity check
+  // offers to put it under the recovered board.
+  function keepDeletedBoard(boardId, theirs, revision) {
+    applyExternalChange(() => applyBoardPayload(boardId, theirs));
+    republishBoard(boardId, revision);
+    showToast(`🔀 "${theirs.boards[boardId].name || 'Quadro'}" foi alterado por outra pessoa e não foi excluído.`);
+    offerIntegrityRepair();
+  }
+
+  // Short human-readable description of a card for dialogs and lists
+  function describeCard(card) {
+    if (!card) return '';
+    const text = (html) => {
+      const div = document.createElement('div');
+      // Keep words from adjacent blocks apart
+      div.innerHTML = (html || '').replace(/<\/(p|div|h\d|li|td|th)>|<(br|ul|ol)\b[^>]*>/gi, ' $&');
+      return div.textContent.trim();
+    };
+    let label;
+    switch (card.type) {
+      case 'note': label = text(card.content); break;
+      case 'todo': label = card.title || (card.items || []).map(i => i.text).filter(Boolean).join(', '); break;
+      case 'link': label = card.title || card.url; break;
+      case 'column': label = card.title; break;
+      case 'board': label = card.name; break;
+      case 'image': label = card.caption || 'Imagem'; break;
+      case 'table': label = tableCells(card.cells).flat().filter(Boolean).join(', '); break;
+      case 'shape': label = card.text || SHAPE_KINDS[card.shape] || 'Forma'; break;
+      case 'sketch': label = 'Desenho'; break;
+    }
+    label = (label || '').replace(/\s+/g, ' ');
+    return label.length > 60 ? label.slice(0, 57) + '...' : label || '(vazio)';
+  }
+
+  const pendingConflicts = [];
+
+  function showConflictDialog() {
+    if (!pendingConflicts.length) return;
+    // Wait for whatever dialog is open to close first
+    if (!dom.modalOverlay.classList.contains('hidden')) {
+      setTimeout(showConflictDialog, 1000);
+      return;
+    }
+    const conflicts = pendingConflicts.splice(0);
+    const rows = conflicts.map((c, i) => {
+      const mine = c.mine ? escapeHtml(describeCard(c.mine)) : '<em>excluído</em>';
+      const theirs = c.theirs ? escapeHtml(describeCard(c.theirs)) : '<em>excluído</em>';
+      return `<div class="conflict-item">
+        <div class="conflict-versions"><div><strong>Minha versão:</strong> ${mine}</div><div><strong>Versão deles:</strong> ${theirs}</div></div>
+        <div class="conflict-choices">
+          <label><input type="radio" name="conflict-${i}" value="mine" checked> Manter a minha</label>
+          <label><input type="radio" name="conflict-${i}" value="theirs"> Manter a deles</label>
+          <label><input type="radio" name="conflict-${i}" value="both"> Manter ambas</label>
+        </div>
+      </div>`;
+    }).join('');
+    showModal('Conflito de edição',
+      `<p class="conflict-intro">Outra pessoa alterou os mesmos cards que você. Escolha qual versão manter:</p>${rows}`,
+      () => {
+        const choices = conflicts.map((c, i) => {
+          const input = dom.modalBody.querySelector(`input[name="conflict-${i}"]:checked`);
+          return input ? input.value : 'mine';
+        });
+        if (choices.every(choice => choice === 'mine')) return;
+        pushHistory();
+        conflicts.forEach((c, i) => resolveCardConflict(c, choices[i]));
+        renderCurrentBoard();
+        autoSave();
+      }
+    );
+  }
+
+  function removeCardData(cardId) {
+    const card = state.cards[cardId];
+    if (!card) return;
+    const board = state.boards[card.boardId];
+    if (board) {
+      board.cardIds = board.cardIds.filter(id => id !== cardId);
+      board.connections = board.connections.filter(c => c.fromCardId !== cardId && c.toCardId !== cardId);
+      markDirty('boards', board.id);
+    }
+    const col = card._inColumn && state.cards[card._inColumn];
+    if (col && col.childCardIds) {
+      col.childCardIds = col.childCardIds.filter(id => id !== cardId);
+      markDirty('cards', col.id);
+    }
+    state.selectedCardIds.delete(cardId);
+    delete state.cards[cardId];
+    markDirty('cards', cardId);
+  }
+
+  function restoreCardData(card, afterId) {
+    state.cards[card.id] = card;
+    markDirty('cards', card.id);
+    const board = state.boards[card.boardId];
+    if (!board) return;
+    markDirty('boards', board.id);
+    const col = card._inColumn && state.cards[card._inColumn];
+    if (col) {
+      markDirty('cards', col.id);
+      col.childCardIds = col.childCardIds || [];
+      if (!col.childCardIds.includes(card.id)) {
+        const idx = col.childCardIds.indexOf(afterId);
+        col.childCardIds.splice(idx === -1 ? col.childCardIds.length : idx + 1, 0, card.id);
+      }
+    } else if (!board.cardIds.includes(card.id)) {
+      board.cardIds.push(card.id);
+    }
+  }
+
+  function resolveCardConflict(conflict, choice) {
+    const { id, theirs } = conflict;
+    if (choice === 'theirs') {
+      if (theirs) restoreCardData(JSON.parse(JSON.stringify(theirs)));
+      else removeCardData(id);
+    } else if (choice === 'both' && theirs) {
+      if (!state.cards[id]) {
+        restoreCardData(JSON.parse(JSON.stringify(theirs)));
+        return;
+      }
+      const copy = { ...JSON.parse(JSON.stringify(theirs)), id: uid(), x: theirs.x + 30, y: theirs.y + 30, zIndex: ++state.ui.maxZIndex };
+      // A board card copy must not share the other card's sub-board
+      if (copy.type === 'board') copy.linkedBoardId = createSubBoard(copy.name, copy.boardId);
+      restoreCardData(copy, id);
+    }
+  }
+
+  // ============= CROSS-TAB SYNC =============
+  // Tabs sharing the local store learn about each other's saves through the
+  // storage event on REVISION_KEY and merge them with the same three-way
+  // merge used for the server, one board at a time.
+  function mergeWorkspace(baseBoards, mine, theirs) {
+    const boards = {};
+    const cards = {};
+    const conflicts = [];
+    new Set([...Object.keys(mine.boards), ...Object.keys(theirs.boards), ...Object.keys(baseBoards)]).forEach(boardId => {
+      const base = baseBoards[boardId] ? JSON.parse(baseBoards[boardId]) : null;
+      const m = mine.boards[boardId] ? boardPayloadOf(mine, boardId) : undefined;
+      const t = theirs.boards[boardId] ? boardPayloadOf(theirs, boardId) : undefined;
+      let result;
+      if (m && t) {
+        const r = mergeBoardPayloads(boardId, base, m, t);
+        result = r.payload;
+        conflicts.push(...r.conflicts);
+      } else {
+        // Board created or deleted in one of the tabs
+        result = merge3(base || undefined, m, t).value;
+      }
+      if (result) {
+        Object.assign(boards, result.boards);
+        Object.assign(cards, result.cards);
+      }
+    });
+    return { data: { boards, cards }, conflicts };
+  }
+
+  async function pullFromOtherTab() {
+    const revision = storage.storedRevision();
+    if (revision <= storage.revision) return;
+    // Taken before reading: reading refreshes what the backend knows is stored
+    const base = storage.baseBoards();
+    let theirs = await storage.read();
+    if (!theirs) return;
+    try {
+      theirs = migrateData(theirs).data;
+    } catch (e) {
+      if (e.code === 'NEWER_SCHEMA' || e.code === 'INVALID_DATA') refuseStoredData(e);
+      throw e;
+    }
+
+    const previous = buildPayload();
+    const { data, conflicts } = mergeWorkspace(base, previous, theirs);
+    const previousCards = previous.cards;
+    applyExternalChange(() => {
+      markAllDirty();
+      state.boards = data.boards;
+      state.cards = data.cards;
+      markAllDirty();
+    });
+    forgetSketchUndo();
+    storage.remember(theirs, revision);
+
+    if (!state.boards[state.currentBoardId]) {
+      const root = Object.values(state.boards).find(b => !b.parentId);
+      if (root) navigateToBoard(root.id);
+    } else {
+      refreshBoardAfterMerge(previousCards);
+    }
+
+    if (conflicts.length) {
+      pendingConflicts.push(...conflicts);
+      showConflictDialog();
+    }
+    // Our own unsaved edits survived the merge and still need to be written
+    if (JSON.stringify({ b: data.boards, c: data.cards }) !== JSON.stringify({ b: theirs.boards, c: theirs.cards })) {
+      scheduleSave();
+    }
+  }
+
+  // Updates only the cards of the open board that changed, so a card being
+  // edited in this tab keeps its focus and caret
+  function refreshBoardAfterMerge(previousCards) {
+    const boardId = state.currentBoardId;
+    Object.values(previousCards).forEach(card => {
+      if (card.boardId !== boardId || state.cards[card.id]) return;
+      state.selectedCardIds.delete(card.id);
+      const el = document.getElementById(card.id);
+      if (el) el.remove();
+    });
+    Object.values(state.cards).forEach(card => {
+      if (card.boardId !== boardId) return;
+      if (JSON.stringify(previousCards[card.id]) !== JSON.stringify(card)) refreshRemoteCard(card);
+    });
+    renderConnections();
+    renderBreadcrumb();
+  }
+
+  function startCrossTabSync() {
+    if (storage === serverBackend) return;
+    window.addEventListener('storage', (e) => {
+      if (e.key === VAULT_SIGNAL_KEY) {
+        onVaultChangedElsewhere();
+        return;
+      }
+      if (e.key !== REVISION_KEY || storageLocked) return;
+      if (isPreviewing()) {
+        checkpointPreview.pendingPull = true;
+        return;
+      }
+      queueTabPull();
+    });
+  }
+
+  // Queued behind pending saves so a pull never interleaves with a write
+  function queueTabPull() {
+    saveQueue = saveQueue.then(pullFromOtherTab).catch(err => console.error('Erro ao sincronizar abas:', err));
+  }
+
+  // ============= LEGACY IMPORT =============
+  // Older versions saved a flat array of items ({ id, type, x, y, w, h,
+  // content }) where content is a type-specific string, often JSON.
+  function isLegacyFlatData(data) {
+    return Array.isArray(data) && data.every(item =>
+      item && typeof item === 'object' && typeof item.type === 'string' && 'x' in item && 'y' in item);
+  }
+
+  // Types whose content string holds JSON; the others keep their text as is,
+  // so a note reading "42" or "null" stays that text
+  const LEGACY_JSON_TYPES = ['todo', 'table', 'link', 'line'];
+
+  function parseLegacyContent(type, content) {
+    if (typeof content !== 'string' || !LEGACY_JSON_TYPES.includes(type)) return content;
+    try {
+      return JSON.parse(content);
+    } catch (e) {
+      return content;
+    }
+  }
+
+  // Converts a legacy flat array into a version 2 payload with a single root
+  // board. Returns the payload and a list of human-readable notes about items
+  // that had no direct equivalent.
+  function convertLegacyFlatData(items) {
+    const now = Date.now();
+    const rootId = uid();
+    const boards = {
+      [rootId]: {
+        id: rootId, name: 'Quadro Importado', parentId: null, cardIds: [], connections: [],
+        panX: 0, panY: 0, zoom: 1, createdAt: now, updatedAt: now
+      }
+    };
+    const cards = {};
+    const counts = { unknown: 0 };
+    let z = 10;
+
+    items.forEach(item => {
+      const content = parseLegacyContent(item.type, item.content);
+      const card = {
+        id: item.id && !cards[item.id] ? String(item.id) : uid(),
+        boardId: rootId,
+        x: Number(item.x) || 0,
+        y: Number(item.y) || 0,
+        width: Number(item.w) || 260,
+        color: item.color || '#ffffff',
+        zIndex: ++z,
+        createdAt: Number(item.id) || now,
+        updatedAt: now
+      };
+      if (item.h) card.height = Number(item.h);
+
+      switch (item.type) {
+        case 'note':
+        case 'text':
+          Object.assign(card, { type: 'note', content: typeof content === 'string' ? content : '' });
+          break;
+        case 'todo': {
+          const list = Array.isArray(content) ? content : [];
+          const todoItems = list.map(t => ({ id: uid(), text: String((t && t.text) || ''), done: !!(t && t.done) }));
+          Object.assign(card, { type: 'todo', title: '', items: todoItems.length ? todoItems : [{ id: uid(), text: '', done: false }] });
+          break;
+        }
+        case 'image':
+          Object.assign(card, { type: 'image', imageData: typeof content === 'string' ? content : '' });
+          break;
+        case 'link': {
+          const link = content && typeof content === 'object' ? content : { url: content || '' };
+          Object.assign(card, { type: 'link', url: link.url || '', title: link.title || link.url || '', description: link.description || '' });
+          break;
+        }
+        case 'column':
+          Object.assign(card, { type: 'column', title: typeof content === 'string' ? content : '', childCardIds: [] });
+          break;
+        case 'subboard': {
+          const name = (typeof content === 'string' && content) || 'Sub-quadro';
+          const subId = uid();
+          boards[subId] = {
+            id: subId, name, parentId: rootId, cardIds: [], connections: [],
+            panX: 0, panY: 0, zoom: 1, createdAt: now, updatedAt: now
+          };
+          Object.assign(card, { type: 'board', name, linkedBoardId: subId });
+          break;
+        }
+        case 'table': {
+          const cells = tableCells(content);
+          // The old width is shared out among the columns
+          const colWidth = Math.max(TABLE_MIN_COL_WIDTH, Math.floor((card.width - TABLE_PADDING * 2) / cells[0].length));
+          Object.assign(card, { type: 'table', cells, headerRow: false, colWidths: cells[0].map(() => colWidth) });
+          delete card.height;
+          break;
+        }
+        case 'line': {
+          // Endpoints are relative to the item's box; without them the line
+          // runs across the middle of it
+          const p = content && typeof content === 'object' ? content : {};
+          const at = (value, fallback) => (typeof value === 'number' ? value : fallback);
+          const middle = (card.height || 0) / 2;
+          const x1 = card.x + at(p.x1, 0);
+          const y1 = card.y + at(p.y1, middle);
+          const x2 = card.x + at(p.x2, card.width);
+          const y2 = card.y + at(p.y2, middle);
+          Object.assign(card, {
+            type: 'shape', shape: 'line', color: 'transparent', stroke: '#888888', strokeWidth: 2, dash: 'solid',
+            ...lineBox(x1, y1, x2, y2)
+          });
+          break;
+        }
+        default:
+          Object.assign(card, { type: 'note', content: escapeHtml(typeof content === 'string' ? content : JSON.stringify(content)) });
+          counts.unknown++;
+      }
+
+      cards[card.id] = card;
+      boards[rootId].cardIds.push(card.id);
+    });
+
+    const report = [];
+    if (counts.unknown) report.push(`${counts.unknown} item(ns) de tipo desconhecido convertido(s) em nota`);
+    return { data: { boards, cards, version: SCHEMA_VERSION }, report };
+  }
+
+  // ============= SCHEMA MIGRATIONS =============
+  // Saved payloads carry the SCHEMA_VERSION that wrote them. MIGRATIONS[n]
+  // upgrades a version n payload to version n + 1; migrateData applies them
+  // in order so any older payload reaches the current version one step at a
+  // time. A schema change bumps SCHEMA_VERSION and registers its step here.
+  const MIGRATIONS = {
+    // 0: the legacy flat item array (see LEGACY IMPORT)
+    0: (items, report) => {
+      const { data, report: notes } = convertLegacyFlatData(items);
+      report.push(...notes);
+      return data;
+    },
+    // 1: boards/cards maps written before payloads carried a version; fill in
+    // the board and card fields version 2 code relies on
+    1: (data) => {
+      Object.entries(data.cards).forEach(([id, card]) => {
+        data.cards[id] = { id, ...card };
+      });
+      Object.entries(data.boards).forEach(([id, board]) => {
+        const cardIds = Object.values(data.cards)
+          .filter(card => card.boardId === id && !card._inColumn)
+          .map(card => card.id);
+        data.boards[id] = {
+          id, parentId: null, cardIds, connections: [], panX: 0, panY: 0, zoom: 1,
+          ...board
+        };
+      });
+      return data;
+    }
+  };
+
+  function schemaVersionOf(data) {
+    if (isLegacyFlatData(data)) return 0;
+    return typeof data.version === 'number' ? data.version : 1;
+  }
+
+  // Returns the payload upgraded to SCHEMA_VERSION and notes about anything
+  // that had to be converted. Throws an error with code NEWER_SCHEMA for data
+  // written by a newer version and INVALID_DATA for malformed data; both
+  // carry the original data so it can be offered as a backup.
+  function migrateData(data) {
+    const original = data;
+    const fail = (code, message, extra) => {
+      const err = new Error(message);
+      Object.assign(err, { code, data: original }, extra);
+      return err;
+    };
+    if (!data || typeof data !== 'object') throw fail('INVALID_DATA', 'Formato inválido');
+    let version = schemaVersionOf(data);
+    if (version > SCHEMA_VERSION) {
+      throw fail('NEWER_SCHEMA', `Dados da versão ${version}; esta versão do aplicativo lê até a ${SCHEMA_VERSION}`, { version });
+    }
+    const report = [];
+    try {
+      while (version < SCHEMA_VERSION) {
+        data = MIGRATIONS[version](data, report);
+        version++;
+      }
+      validateData(data);
+    } catch (e) {
+      throw fail('INVALID_DATA', e.message);
+    }
+    data.version = SCHEMA_VERSION;
+    return { data, report };
+  }
+
+  // Structural checks only; dangling references are left to the integrity
+  // checker
+  function validateData(data) {
+    const isMap = (value) => value && typeof value === 'object' && !Array.isArray(value);
+    if (!isMap(data.boards) || !isMap(data.cards)) throw new Error('Formato inválido: quadros ou cartões ausentes');
+    Object.entries(data.boards).forEach(([id, board]) => {
+      if (!isMap(board) || board.id !== id || !Array.isArray(board.cardIds) || !Array.isArray(board.connections)) {
+        throw new Error(`Formato inválido: quadro ${id}`);
+      }
+    });
+    Object.entries(data.cards).forEach(([id, card]) => {
+      if (!isMap(card) || card.id !== id || typeof card.type !== 'string' || typeof card.boardId !== 'string') {
+        throw new Error(`Formato inválido: cartão ${id}`);
+      }
+    });
+  }
+
+  // Stored data this version can't read: stop saving so it is never
+  // overwritten, and offer a backup
+  function refuseStoredData(err) {
+    if (storageLocked) return;
+    storageLocked = true;
+    storageLockReason = err.code === 'NEWER_SCHEMA'
+      ? 'Os dados salvos são de uma versão mais nova do aplicativo'
+      : 'Os dados salvos estão danificados';
+    const reason = err.code === 'NEWER_SCHEMA'
+      ? `<p>Seus quadros foram salvos por uma versão mais nova do Quadro de Planejamento (versão ${err.version}; esta aceita até a ${SCHEMA_VERSION}). Recarregue a página para usar a versão mais recente.</p>`
+      : `<p>Os dados salvos estão danificados e não puderam ser abertos (${escapeHtml(err.message)}).</p>`;
+    showModal(err.code === 'NEWER_SCHEMA' ? 'Dados de uma versão mais nova' : 'Dados danificados', `
+      ${reason}
+      <p>Para não perder esses dados, nada será salvo nesta aba.</p>
+      <p>Clique em <strong>Confirmar</strong> para baixar uma cópia de segurança.</p>
+    `, () => {
+      downloadFile(JSON.stringify(err.data, null, 2), `quadro-planejamento-backup-${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
+    });
+  }
+
+  // ============= INTEGRITY =============
+  // Finds dangling references left behind by interrupted saves, merges or
+  // hand-edited files. checkIntegrity only reports; repairIntegrity fixes the
+  // data in place, moving cards and boards that lost their place into a
+  // "Recuperados" board under the first root board.
+  const RECOVERED_BOARD_NAME = 'Recuperados';
+
+  const INTEGRITY_LABELS = {
+    'missing-card-ref': 'referência(s) a cartões inexistentes',
+    'broken-connection': 'conexão(ões) quebrada(s)',
+    'missing-column-child': 'item(ns) de coluna inexistente(s)',
+    'detached-child': 'cartão(ões) fora da coluna de origem',
+    'unlisted-card': 'cartão(ões) fora da lista do quadro',
+    'orphan-card': 'cartão(ões) sem quadro',
+    'broken-board-link': 'cartão(ões) de quadro sem sub-quadro',
+    'missing-parent': 'sub-quadro(s) sem quadro pai',
+    'parent-cycle': 'quadro(s) em ciclo na hierarquia',
+    'unreachable-board': 'sub-quadro(s) inacessível(is)'
+  };
+
+  // Boards whose parentId chain loops back on itself
+  function findParentCycles(boards) {
+    const inCycle = new Set();
+    const done = new Set();
+    Object.keys(boards).forEach(start => {
+      const path = [];
+      let id = start;
+      while (id && boards[id] && !done.has(id)) {
+        const at = path.indexOf(id);
+        if (at !== -1) {
+          path.slice(at).forEach(b => inCycle.add(b));
+          break;
+        }
+        path.push(id);
+        id = boards[id].parentId;
+      }
+      path.forEach(b => done.add(b));
+    });
+    return inCycle;
+  }
+
+  function checkIntegrity(data) {
+    const { boards, cards } = data;
+    const issues = [];
+    const inColumn = new Set();
+
+    Object.values(cards).forEach(card => {
+      if (card.type !== 'column' || !card.childCardIds) return;
+      card.childCardIds.forEach(childId => {
+        const child = cards[childId];
+        if (child && child._inColumn === card.id) inColumn.add(childId);
+        else issues.push({ type: 'missing-column-child', cardId: card.id, childId });
+      });
+    });
+
+    Object.values(boards).forEach(board => {
+      board.cardIds.forEach(cardId => {
+        const card = cards[cardId];
+        if (!card || card.boardId !== board.id) issues.push({ type: 'missing-card-ref', boardId: board.id, cardId });
+      });
+      board.connections.forEach(conn => {
+        const from = cards[conn.fromCardId];
+        const to = cards[conn.toCardId];
+        if (!from || !to || from.boardId !== board.id || to.boardId !== board.id) {
+          issues.push({ type: 'broken-connection', boardId: board.id, connection: conn });
+        }
+      });
+    });
+
+    Object.values(cards).forEach(card => {
+      const board = boards[card.boardId];
+      if (!board) {
+        issues.push({ type: 'orphan-card', cardId: card.id });
+        return;
+      }
+      if (card._inColumn && !inColumn.has(card.id)) {
+        issues.push({ type: 'detached-child', cardId: card.id });
+      } else if (!card._inColumn && !board.cardIds.includes(card.id)) {
+        issues.push({ type: 'unlisted-card', cardId: card.id });
+      }
+      if (card.type === 'board' && !boards[card.linkedBoardId]) {
+        issues.push({ type: 'broken-board-link', cardId: card.id });
+      }
+    });
+
+    const linked = new Set(Object.values(cards).filter(c => c.type === 'board').map(c => c.linkedBoardId));
+    const cycles = findParentCycles(boards);
+    Object.values(boards).forEach(board => {
+      if (cycles.has(board.id)) {
+        issues.push({ type: 'parent-cycle', boardId: board.id });
+      } else if (board.parentId && !boards[board.parentId]) {
+        issues.push({ type: 'missing-parent', boardId: board.id });
+      } else if (board.parentId && !linked.has(board.id)) {
+        issues.push({ type: 'unreachable-board', boardId: board.id });
+      }
+    });
+    return issues;
+  }
+
+  function describeIntegrityIssues(issues) {
+    const counts = {};
+    issues.forEach(issue => { counts[issue.type] = (counts[issue.type] || 0) + 1; });
+    return Object.entries(counts).map(([type, count]) => `${count} ${INTEGRITY_LABELS[type]}`);
+  }
+
+  function repairIntegrity(data) {
+    const { boards, cards } = data;
+    const now = Date.now();
+    let recovered = null;
+    let recoveredCount = 0;
+
+    const newBoard = (name, parentId) => {
+      const id = uid();
+      boards[id] = {
+        id, name, parentId, cardIds: [], connections: [],
+        panX: 0, panY: 0, zoom: 1, createdAt: now, updatedAt: now
+      };
+      return boards[id];
+    };
+    // Grid slot for the next card placed on the recovered board
+    const nextSlot = () => {
+      const i = recovered.cardIds.length;
+      return { x: 40 + (i % 4) * 300, y: 40 + Math.floor(i / 4) * 240 };
+    };
+    const addBoardCard = (board, linkedBoardId) => {
+      const id = uid();
+      const cols = board.cardIds.map(cid => cards[cid]).filter(Boolean);
+      const x = board === recovered ? nextSlot().x : Math.max(40, ...cols.map(c => c.x + (c.width || 260) + 40));
+      const y = board === recovered ? nextSlot().y : 40;
+      cards[id] = {
+        id, type: 'board', boardId: board.id, x, y, color: '#ffffff', zIndex: 1,
+        createdAt: now, updatedAt: now, width: 200, height: 160,
+        linkedBoardId, name: boards[linkedBoardId].name
+      };
+      board.cardIds.push(id);
+    };
+    const recoveredBoard = () => {
+      if (recovered) return recovered;
+      recovered = Object.values(boards).find(b => b.recovered) || null;
+      if (recovered) return recovered;
+      const cycles = findParentCycles(boards);
+      const root = Object.values(boards).find(b => !b.parentId && !cycles.has(b.id)) || newBoard('Meu Quadro', null);
+      recovered = newBoard(RECOVERED_BOARD_NAME, root.id);
+      recovered.recovered = true;
+      addBoardCard(root, recovered.id);
+      return recovered;
+    };
+    // Puts a board that can't be reached under the recovered board
+    const rehome = (board) => {
+      const host = recoveredBoard();
+      board.parentId = host.id;
+      addBoardCard(host, board.id);
+      recoveredCount++;
+    };
+
+    const fixes = {
+      'missing-card-ref': ({ boardId, cardId }) => {
+        boards[boardId].cardIds = boards[boardId].cardIds.filter(id => id !== cardId);
+      },
+      'broken-connection': ({ boardId, connection }) => {
+        boards[boardId].connections = boards[boardId].connections.filter(c => c !== connection);
+      },
+      'missing-column-child': ({ cardId, childId }) => {
+        cards[cardId].childCardIds = cards[cardId].childCardIds.filter(id => id !== childId);
+      },
+      'detached-child': ({ cardId }) => {
+        const card = cards[cardId];
+        delete card._inColumn;
+        if (!boards[card.boardId].cardIds.includes(cardId)) boards[card.boardId].cardIds.push(cardId);
+      },
+      'unlisted-card': ({ cardId }) => {
+        boards[cards[cardId].boardId].cardIds.push(cardId);
+      },
+      'orphan-card': ({ cardId }) => {
+        const card = cards[cardId];
+        const host = recoveredBoard();
+        delete card._inColumn;
+        Object.assign(card, { boardId: host.id }, nextSlot());
+        if (card.type === 'column') card.childCardIds = [];
+        host.cardIds.push(cardId);
+        recoveredCount++;
+      },
+      'broken-board-link': ({ cardId }) => {
+        const card = cards[cardId];
+        card.linkedBoardId = newBoard(card.name || 'Novo Quadro', card.boardId).id;
+      },
+      'missing-parent': ({ boardId }) => {
+        const link = Object.values(cards).find(c => c.type === 'board' && c.linkedBoardId === boardId);
+        if (link) boards[boardId].parentId = link.boardId;
+        else rehome(boards[boardId]);
+      },
+      'parent-cycle': ({ boardId }) => {
+        // One board per cycle is enough to break it
+        if (findParentCycles(boards).has(boardId)) rehome(boards[boardId]);
+      },
+      'unreachable-board': ({ boardId }) => rehome(boards[boardId])
+    };
+
+    // Card fixes run before board fixes: rescued board cards can make their
+    // sub-boards reachable again
+    const order = Object.keys(fixes);
+    let issues = checkIntegrity(data);
+    for (let pass = 0; pass < 3 && issues.length; pass++) {
+      issues.sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type));
+      issues.forEach(issue => fixes[issue.type](issue));
+      issues = checkIntegrity(data);
+    }
+    return { remaining: issues, recoveredCount, recoveredBoardId: recovered && recovered.id };
+  }
+
+  // Runs after load and import; problems are reported and repaired only when
+  // the user confirms
+  function offerIntegrityRepair() {
+    const issues = checkIntegrity(state);
+    if (!issues.length) return;
+    const items = describeIntegrityIssues(issues).map(line => `<li>${escapeHtml(line)}</li>`).join('');
+    showModal('Problemas nos dados', `
+      <p class="integrity-intro">Foram encontradas inconsistências nos quadros:</p>
+      <ul class="integrity-list">${items}</ul>
+      <p class="integrity-intro">Clique em <strong>Confirmar</strong> para repará-las. Cartões e quadros perdidos serão movidos para o quadro "${RECOVERED_BOARD_NAME}".</p>
+    `, () => {
+      pushHistory();
+      markAllDirty();
+      const result = repairIntegrity(state);
+      markAllDirty();
+      if (!state.boards[state.currentBoardId]) state.currentBoardId = Object.values(state.boards).find(b => !b.parentId).id;
+      renderCurrentBoard();
+      autoSave();
+      if (result.remaining.length) {
+        showToast('⚠️ Alguns problemas não puderam ser reparados: ' + describeIntegrityIssues(result.remaining).join('; '), 8000);
+      } else if (result.recoveredCount) {
+        showToast(`🛠️ Dados reparados. ${result.recoveredCount} item(ns) movido(s) para "${RECOVERED_BOARD_NAME}".`);
+      } else {
+        showToast('🛠️ Dados reparados!');
+      }
+    });
+  }
+
+  // ============= MERGE IMPORT =============
+  // An import can replace the workspace or be merged into it. Merged data
+  // gets fresh ids for every board, card and connection first, so nothing
+  // imported can collide with what is already here.
+
+  // Card fields holding ids of other boards or cards
+  const CARD_ID_REFS = { linkedBoardId: 'one', _inColumn: 'one', childCardIds: 'list' };
+
+  function remapImportIds(data) {
+    const ids = {};
+    // Dangling references get fresh ids too: they stay dangling but can't
+    // point at one of our own cards by accident
+    const map = (id) => (id ? (ids[id] || (ids[id] = uid())) : id);
+    const boards = {};
+    const cards = {};
+    Object.values(data.boards).forEach(board => {
+      const copy = {
+        ...board,
+        id: map(board.id),
+        parentId: map(board.parentId) || null,
+        cardIds: board.cardIds.map(map),
+        connections: board.connections.map(conn => ({
+          ...conn, id: uid(), fromCardId: map(conn.fromCardId), toCardId: map(conn.toCardId)
+        }))
+      };
+      delete copy.recovered;
+      boards[copy.id] = copy;
+    });
+    Object.values(data.cards).forEach(card => {
+      const copy = { ...card, id: map(card.id), boardId: map(card.boardId) };
+      Object.entries(CARD_ID_REFS).forEach(([field, kind]) => {
+        if (!(field in card)) return;
+        copy[field] = kind === 'list' ? (card[field] || []).map(map) : map(card[field]);
+      });
+      cards[copy.id] = copy;
+    });
+    return { boards, cards };
+  }
+
+  // Right edge of the content on a board, where merged cards start
+  function boardContentRight(boardId) {
+    return Math.max(0, ...state.boards[boardId].cardIds
+      .map(id => state.cards[id])
+      .filter(Boolean)
+      .map(card => card.x + (card.width || 260)));
+  }
+
+  function showImportDialog(data, legacyReport) {
+    const boardCount = Object.keys(data.boards).length;
+    const cardCount = Object.keys(data.cards).length;
+    const current = getCurrentBoard();
+    showModal('Importar dados', `
+      <p class="import-intro">O arquivo tem ${boardCount} quadro(s) e ${cardCount} cartão(ões). Como importar?</p>
+      <div class="import-choices">
+        <label><input type="radio" name="import-mode" value="subboard" checked> <span><strong>Mesclar como sub-quadro</strong><br>Os quadros importados entram em "${escapeHtml(current.name || 'Quadro')}" como sub-quadros</span></label>
+        <label><input type="radio" name="import-mode" value="side"> <span><strong>Mesclar lado a lado</strong><br>Os cartões importados são colocados ao lado dos cartões deste quadro</span></label>
+        <label><input type="radio" name="import-mode" value="replace"> <span><strong>Substituir tudo</strong><br>Apaga os quadros atuais e fica só com os importados</span></label>
+      </div>
+    `, () => {
+      const input = dom.modalBody.querySelector('input[name="import-mode"]:checked');
+      applyImport(data, input ? input.value : 'subboard');
+      updateMigrateImagesButton();
+      if (legacyReport && legacyReport.length) {
+        showToast('ℹ️ Formato antigo convertido: ' + legacyReport.join('; '), 8000);
+      }
+      // After this dialog has closed
+      setTimeout(offerIntegrityRepair);
+    });
+  }
+
+  function applyImport(data, mode) {
+    pushHistory();
+    if (mode === 'replace') {
+      markAllDirty();
+      state.boards = data.boards;
+      state.cards = data.cards;
+      markAllDirty();
+      const boardIds = Object.keys(state.boards);
+      state.currentBoardId = boardIds[0] || null;
+      if (!state.currentBoardId) createRootBoard();
+      renderCurrentBoard();
+      autoSave();
+      showToast('✅ Dados importados com sucesso!');
+      return;
+    }
+
+    const imported = remapImportIds(data);
+    const targetId = state.currentBoardId;
+    const target = state.boards[targetId];
+    const roots = Object.values(imported.boards).filter(b => !b.parentId);
+    Object.assign(state.boards, imported.boards);
+    Object.assign(state.cards, imported.cards);
+    markRecordsDirty(imported);
+    markDirty('boards', targetId);
+
+    let x = boardContentRight(targetId) + 80;
+    roots.forEach(root => {
+      if (mode === 'subboard') {
+        root.parentId = targetId;
+        const id = uid();
+        state.cards[id] = {
+          id, type: 'board', boardId: targetId, x, y: 40, color: '#ffffff',
+          zIndex: ++state.ui.maxZIndex, createdAt: Date.now(), updatedAt: Date.now(),
+          width: 200, height: 160, linkedBoardId: root.id, name: root.name || 'Quadro Importado'
+        };
+        markDirty('cards', id);
+        target.cardIds.push(id);
+        x += 240;
+        return;
+      }
+      // Side by side: the root's cards and connections move onto this board,
+      // shifted right of what is already here; its sub-boards hang from it
+      const cards = Object.values(state.cards).filter(c => c.boardId === root.id);
+      const minX = Math.min(...cards.filter(c => !c._inColumn).map(c => c.x));
+      const shift = cards.length ? x - minX : 0;
+      cards.forEach(card => {
+        card.boardId = targetId;
+        if (!card._inColumn) card.x += shift;
+      });
+      target.cardIds.push(...root.cardIds);
+      target.connections.push(...root.connections);
+      Object.values(state.boards).forEach(b => {
+        if (b.parentId !== root.id) return;
+        b.parentId = targetId;
+        markDirty('boards', b.id);
+      });
+      delete state.boards[root.id];
+      x = boardContentRight(targetId) + 80;
+    });
+
+    renderCurrentBoard();
+    autoSave();
+    showToast(mode === 'subboard' ? '✅ Quadros importados como sub-quadros!' : '✅ Cartões importados neste quadro!');
+  }
+
+  // ============= TRELLO IMPORT =============
+  // A Trello board export (Menu › Imprimir e exportar › JSON) becomes a new
+  // sub-board: each open list is a column of notes, laid out left to right,
+  // with the list's checklists and image attachments stacked beneath it.
+  const TRELLO_COLORS = {
+    green: '#e8f5e9', lime: '#e8f5e9', yellow: '#fff8e1', orange: '#fff3e0', red: '#ffebee',
+    purple: '#f3e5f5', pink: '#fce4ec', blue: '#e3f2fd', sky: '#e3f2fd', black: '#eceff1'
+  };
+  const TRELLO_IMAGE_EXT = /\.(png|jpe?g|gif|webp|svg|bmp)(\?|$)/i;
+
+  function isTrelloExport(raw) {
+    return !!raw && !Array.isArray(raw) && Array.isArray(raw.lists) && Array.isArray(raw.cards) && !raw.boards;
+  }
+
+  function trelloCardColor(raw, tCard) {
+    const labels = Array.isArray(tCard.labels) && tCard.labels.length
+      ? tCard.labels
+      : (tCard.idLabels || []).map(id => (raw.labels || []).find(l => l.id === id)).filter(Boolean);
+    const label = labels.find(l => l.color && TRELLO_COLORS[l.color.split('_')[0]]);
+    return label ? TRELLO_COLORS[label.color.split('_')[0]] : '#ffffff';
+  }
+
+  function trelloCardHtml(raw, tCard) {
+    let html = `<p><b>${escapeHtml(tCard.name || '')}</b></p>`;
+    if (tCard.desc) {
+      html += tCard.desc.split(/\n{2,}/).map(p => `<p>${escapeHtml(p).replace(/\n/g, '<br>')}</p>`).join('');
+    }
+    const labelNames = (tCard.idLabels || []).map(id => (raw.labels || []).find(l => l.id === id))
+      .filter(l => l && l.name).map(l => escapeHtml(l.name));
+    if (labelNames.length) html += `<p>🏷️ ${labelNames.join(', ')}</p>`;
+    if (tCard.due) {
+      const due = new Date(tCard.due);
+      if (!isNaN(due)) html += `<p>📅 ${due.toLocaleDateString('pt-BR')}${tCard.dueComplete ? ' ✓' : ''}</p>`;
+    }
+    return html;
+  }
+
+  function convertTrelloBoard(raw) {
+    const now = Date.now();
+    const byPos = (a, b) => (a.pos || 0) - (b.pos || 0);
+    const rootId = uid();
+    const root = {
+      id: rootId, name: raw.name || 'Trello', parentId: null, cardIds: [], connections: [],
+      panX: 0, panY: 0, zoom: 1, createdAt: now, updatedAt: now
+    };
+    const cards = {};
+    const counts = { archived: 0, attachments: 0 };
+    let z = 10;
+    const addCard = (card) => {
+      cards[card.id] = { boardId: rootId, color: '#ffffff', zIndex: ++z, createdAt: now, updatedAt: now, ...card };
+      if (!card._inColumn) root.cardIds.push(card.id);
+      return cards[card.id];
+    };
+
+    const lists = raw.lists.filter(l => !l.closed).sort(byPos);
+    counts.archived += raw.lists.length - lists.length + raw.cards.filter(c => c.closed).length;
+    lists.forEach((list, i) => {
+      const x = 40 + i * 320;
+      const tCards = raw.cards.filter(c => c.idList === list.id && !c.closed).sort(byPos);
+      const column = addCard({
+        id: uid(), type: 'column', x, y: 40, width: 280, title: list.name || '',
+        height: clamp(100 + tCards.length * 80, 400, 900), childCardIds: []
+      });
+
+      // Checklists and images can't live inside a column; stack them below it
+      let y = 40 + column.height + 40;
+      tCards.forEach(tCard => {
+        const color = trelloCardColor(raw, tCard);
+        const note = addCard({
+          id: uid(), type: 'note', x: 0, y: 0, zIndex: 1, width: 240, color,
+          content: trelloCardHtml(raw, tCard), _inColumn: column.id
+        });
+        column.childCardIds.push(note.id);
+
+        (raw.checklists || []).filter(cl => cl.idCard === tCard.id).sort(byPos).forEach(checklist => {
+          const items = (checklist.checkItems || []).slice().sort(byPos)
+            .map(item => ({ id: uid(), text: item.name || '', done: item.state === 'complete' }));
+          addCard({
+            id: uid(), type: 'todo', x, y, width: 280, color,
+            title: `${tCard.name || ''} — ${checklist.name || 'Checklist'}`,
+            items: items.length ? items : [{ id: uid(), text: '', done: false }]
+          });
+          y += 80 + items.length * 32;
+        });
+
+        (tCard.attachments || []).forEach(attachment => {
+          const isImage = (attachment.mimeType || '').startsWith('image/') || TRELLO_IMAGE_EXT.test(attachment.url || '');
+          if (!isImage || !attachment.url) {
+            counts.attachments++;
+            return;
+          }
+          addCard({ id: uid(), type: 'image', x, y, width: 280, imageData: attachment.url });
+          y += 240;
+        });
+      });
+    });
+
+    const report = [];
+    if (counts.archived) report.push(`${counts.archived} lista(s)/cartão(ões) arquivado(s) ignorado(s)`);
+    if (counts.attachments) report.push(`${counts.attachments} anexo(s) que não são imagens ignorado(s)`);
+    return { data: { boards: { [rootId]: root }, cards, version: SCHEMA_VERSION }, report };
+  }
+
+  function importTrelloBoard(raw) {
+    const { data, report } = convertTrelloBoard(raw);
+    applyImport(data, 'subboard');
+    updateMigrateImagesButton();
+    if (report.length) showToast('ℹ️ Trello: ' + report.join('; '), 8000);
+  }
+
+  // ============= TEXT IMPORT (Markdown / CSV) =============
+  // .md and .csv files dropped on the canvas become cards laid out in a grid
+  // from the drop point. Markdown gives one note per heading section, with
+  // task lists as todo cards; a CSV file becomes a todo list, a table or one
+  // note per row.
+  const TEXT_IMPORT_GAP = 40;
+  const CSV_DONE_HEADER = /^(done|feito|conclu[ií]d[oa]|status)$/i;
+  const CSV_DONE_VALUE = /^(x|sim|yes|true|1|feito|done|conclu[ií]d[oa])$/i;
+
+  function isTextImportFile(file) {
+    return /\.(md|markdown|csv)$/i.test(file.name) || file.type === 'text/markdown' || file.type === 'text/csv';
+  }
+
+  function readFileText(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(e.target.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsText(file);
+    });
+  }
+
+  function markdownInline(text) {
+    return escapeHtml(text)
+      .replace(/`([^`]+)`/g, '<code>$1</code>')
+      .replace(/\*\*([^*]+)\*\*|__([^_]+)__/g, (m, a, b) => `<b>${a || b}</b>`)
+      .replace(/(^|[^*\w])[*_]([^*_]+)[*_](?![*\w])/g, '$1<i>$2</i>')
+      .replace(/~~([^~]+)~~/g, '<s>$1</s>')
+      .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>');
+  }
+
+  // Enough Markdown for notes: paragraphs, lists, quotes, code blocks and
+  // inline emphasis. Headings never get here; they start a new card.
+  function markdownToHtml(lines) {
+    const html = [];
+    let paragraph = [];
+    let list = null;
+    let code = null;
+    const flush = () => {
+      if (paragraph.length) html.push(`<p>${paragraph.map(markdownInline).join('<br>')}</p>`);
+      paragraph = [];
+      if (list) html.push(`<${list.tag}>${list.items.map(item => `<li>${markdownInline(item)}</li>`).join('')}</${list.tag}>`);
+      list = null;
+    };
+    lines.forEach(line => {
+      if (code) {
+        if (/^\s*```/.test(line)) {
+          html.push(`<pre>${escapeHtml(code.join('\n'))}</pre>`);
+          code = null;
+        } else {
+          code.push(line);
+        }
+        return;
+      }
+      const item = line.match(/^\s*(?:([-*+])|\d+[.)])\s+(.*)$/);
+      if (/^\s*```/.test(line)) {
+        flush();
+        code = [];
+      } else if (!line.trim()) {
+        flush();
+      } else if (item) {
+        const tag = item[1] ? 'ul' : 'ol';
+        if (paragraph.length || (list && list.tag !== tag)) flush();
+        if (!list) list = { tag, items: [] };
+        list.items.push(item[2]);
+      } else if (/^\s*>/.test(line)) {
+        flush();
+        html.push(`<blockquote>${markdownInline(line.replace(/^\s*>\s?/, ''))}</blockquote>`);
+      } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        flush();
+        html.push('<hr>');
+      } else {
+        if (list) flush();
+        paragraph.push(line.trim());
+      }
+    });
+    if (code) html.push(`<pre>${escapeHtml(code.join('\n'))}</pre>`);
+    flush();
+    return html.join('');
+  }
+
+  // Card specs ({ type, ...fields }) for each heading section
+  function markdownToCards(text) {
+    const sections = [];
+    let section = { title: '', level: 0, lines: [] };
+    let inCode = false;
+    text.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+      if (/^\s*```/.test(line)) inCode = !inCode;
+      const heading = !inCode && line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+      if (heading) {
+        sections.push(section);
+        section = { title: heading[2], level: heading[1].length, lines: [] };
+      } else {
+        section.lines.push(line);
+      }
+    });
+    sections.push(section);
+
+    const specs = [];
+    sections.forEach(({ title, level, lines }) => {
+      const tasks = [];
+      const rest = lines.filter(line => {
+        const task = line.match(/^\s*[-*+]\s+\[([ xX])\]\s+(.*)$/);
+        if (task) tasks.push({ id: uid(), text: task[2].trim(), done: task[1] !== ' ' });
+        return !task;
+      });
+      const body = markdownToHtml(rest);
+      if (body || (title && !tasks.length)) {
+        const headingTag = level <= 1 ? 'h2' : 'h3';
+        specs.push({ type: 'note', content: (title ? `<${headingTag}>${markdownInline(title)}</${headingTag}>` : '') + body });
+      }
+      if (tasks.length) specs.push({ type: 'todo', title, items: tasks });
+    });
+    return specs;
+  }
+
+  // RFC 4180 fields; the delimiter is whichever of , ; or tab appears most
+  // in the first line (spreadsheets in pt-BR save with ;)
+  function parseCsv(text) {
+    text = text.replace(/^\uFEFF/, '');
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ',');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"' && !field) {
+        quoted = true;
+      } else if (ch === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+    if (field || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows.filter(r => r.some(cell => cell.trim()));
+  }
+
+  function csvToCards(rows, { mode, header, title }) {
+    if (mode === 'table') {
+      const cells = tableCells(rows);
+      const colWidths = cells[0].map(() => TABLE_COL_WIDTH);
+      return [{ type: 'table', cells, headerRow: header, colWidths, width: tableCardWidth(colWidths) }];
+    }
+    const headers = header ? rows[0].map(h => h.trim()) : [];
+    const body = header ? rows.slice(1) : rows;
+    if (mode === 'todo') {
+      const doneCol = headers.findIndex(h => CSV_DONE_HEADER.test(h));
+      const items = body.map(row => ({
+        id: uid(),
+        text: (row.find((cell, i) => i !== doneCol && cell.trim()) || '').trim(),
+        done: doneCol >= 0 && CSV_DONE_VALUE.test((row[doneCol] || '').trim())
+      }));
+      return items.length ? [{ type: 'todo', title, items }] : [];
+    }
+    return body.map(row => ({
+      type: 'note',
+      content: row.map((cell, i) => {
+        if (!cell.trim()) return '';
+        const value = escapeHtml(cell.trim()).replace(/\r?\n/g, '<br>');
+        if (headers[i]) return `<p><b>${escapeHtml(headers[i])}:</b> ${value}</p>`;
+        return i === 0 ? `<p><b>${value}</b></p>` : `<p>${value}</p>`;
+      }).join('')
+    }));
+  }
+
+  // Notes grow with their text, so rows are as tall as their tallest card
+  function estimateSpecHeight(spec) {
+    if (spec.type === 'todo') return 80 + spec.items.length * 32;
+    if (spec.type === 'table') return 50 + spec.cells.length * 30;
+    const text = spec.content.replace(/<(p|li|h\d|pre|blockquote|br|tr)\b[^>]*>/gi, '\n').replace(/<[^>]+>/g, '');
+    const lines = text.split('\n').filter(Boolean).reduce((sum, line) => sum + Math.ceil(line.length / 32), 0);
+    return 60 + lines * 20;
+  }
+
+  function addCardsInGrid(specs, origin) {
+    const board = getCurrentBoard();
+    if (!board || !specs.length) return;
+    pushHistory();
+    const perRow = Math.ceil(Math.sqrt(specs.length));
+    const width = 260;
+    let y = origin.y;
+    for (let start = 0; start < specs.length; start += perRow) {
+      const row = specs.slice(start, start + perRow);
+      let x = origin.x;
+      row.forEach(spec => {
+        const id = uid();
+        const card = {
+          id, boardId: state.currentBoardId,
+          x, y,
+          width, color: '#ffffff', zIndex: ++state.ui.maxZIndex,
+          createdAt: Date.now(), updatedAt: Date.now(),
+          ...spec
+        };
+        state.cards[id] = card;
+        board.cardIds.push(id);
+        markDirty('cards', id);
+        renderCard(card);
+        x += card.width + TEXT_IMPORT_GAP;
+      });
+      y += Math.max(...row.map(estimateSpecHeight)) + TEXT_IMPORT_GAP;
+    }
+    markDirty('boards', board.id);
+    autoSave();
+  }
+
+  async function importTextFiles(files, origin) {
+    let texts;
+    try {
+      texts = await Promise.all(files.map(readFileText));
+    } catch (e) {
+      console.error('Erro ao ler arquivo:', e);
+      showToast('❌ Não foi possível ler o arquivo.');
+      return;
+    }
+    const markdown = [];
+    const csv = [];
+    files.forEach((file, i) => {
+      if (/\.csv$/i.test(file.name) || file.type === 'text/csv') {
+        const rows = parseCsv(texts[i]);
+        if (rows.length) csv.push({ rows, title: file.name.replace(/\.[^.]+$/, '') });
+      } else {
+        markdown.push(...markdownToCards(texts[i]));
+      }
+    });
+
+    if (markdown.length) {
+      addCardsInGrid(markdown, origin);
+      showToast(`✅ ${markdown.length} cartão(ões) criado(s) a partir do Markdown`);
+    }
+    if (!csv.length) {
+      if (!markdown.length) showToast('⚠️ O arquivo está vazio.');
+      return;
+    }
+
+    // Beside the Markdown cards when both were dropped together
+    const csvOrigin = markdown.length ? { x: boardContentRight(state.currentBoardId) + TEXT_IMPORT_GAP * 2, y: origin.y } : origin;
+    const rowCount = csv.reduce((sum, file) => sum + file.rows.length, 0);
+    showModal('Importar CSV', `
+      <p class="import-intro">${rowCount} linha(s) em ${csv.length} arquivo(s). Como criar os cartões?</p>
+      <div class="import-choices">
+        <label><input type="radio" name="csv-mode" value="todo" checked> <span><strong>Lista de tarefas</strong><br>Um cartão de tarefas por arquivo, com uma tarefa por linha</span></label>
+        <label><input type="radio" name="csv-mode" value="table"> <span><strong>Tabela</strong><br>Um cartão de tabela por arquivo, com as mesmas linhas e colunas</span></label>
+        <label><input type="radio" name="csv-mode" value="notes"> <span><strong>Uma nota por linha</strong><br>Cada linha vira uma nota com os seus campos</span></label>
+      </div>
+      <label class="export-option"><input type="checkbox" id="csv-header" checked> A primeira linha é o cabeçalho</label>
+    `, () => {
+      const mode = dom.modalBody.querySelector('input[name="csv-mode"]:checked').value;
+      const header = dom.modalBody.querySelector('#csv-header').checked;
+      const specs = csv.flatMap(file => csvToCards(file.rows, { mode, header, title: file.title }));
+      addCardsInGrid(specs, csvOrigin);
+      showToast(`✅ ${specs.length} cartão(ões) criado(s) a partir do CSV`);
+    });
+  }
+
+  // ============= EXPORT =============
+  // A board plus every sub-board reachable through its board cards
+  function collectBoardSubtree(rootId) {
+    const boards = {};
+    const cards = {};
+    const queue = [rootId];
+    while (queue.length) {
+      const id = queue.shift();
+      if (boards[id] || !state.boards[id]) continue;
+      boards[id] = state.boards[id];
+      Object.values(state.cards).forEach(card => {
+        if (card.boardId !== id) return;
+        cards[card.id] = card;
+        if (card.type === 'board' && card.linkedBoardId) queue.push(card.linkedBoardId);
+      });
+    }
+    return { boards, cards };
+  }
+
+  // Images kept as URLs (server uploads) are embedded so the file stands on
+  // its own. Returns how many could not be fetched.
+  async function embedImages(cards) {
+    let failed = 0;
+    for (const card of Object.values(cards)) {
+      for (const field of IMAGE_FIELDS) {
+        const value = card[field];
+        if (!value || isInlineImage(value)) continue;
+        try {
+          const res = await fetch(value);
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          card[field] = await blobToDataUrl(await res.blob());
+        } catch (e) {
+          console.error('Erro ao incorporar imagem:', e);
+          failed++;
+        }
+      }
+    }
+    return failed;
+  }
+
+  async function exportBoard(boardId) {
+    const board = state.boards[boardId];
+    if (!board) return;
+    const { boards, cards } = JSON.parse(JSON.stringify(collectBoardSubtree(boardId)));
+    // Imports as a top-level board; see showImportDialog
+    boards[boardId].parentId = null;
+    const failed = await embedImages(cards);
+    const data = {
+      boards,
+      cards,
+      exportedAt: new Date().toISOString(),
+      version: SCHEMA_VERSION
+    };
+    downloadFile(await exportJson(data), `quadro-${slugify(board.name)}-${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
+    const count = Object.keys(boards).length;
+    showToast(`✅ Quadro "${board.name || 'Quadro'}" exportado${count > 1 ? ` com ${count - 1} sub-quadro(s)` : ''}!`);
+    if (failed) showToast(`⚠️ ${failed} imagem(ns) não puderam ser incluídas no arquivo.`);
+  }
+
+  // --- Markdown ---
+  const mdEscape = (text) => text.replace(/([\\`*_[\]])/g, '\\$1');
+  const mdHeading = (level, text) => '#'.repeat(Math.min(level, 6)) + ' ' + text;
+
+  // Keeps surrounding spaces outside the markers: "** bold**" isn't bold
+  function mdWrap(marker, text) {
+    const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : text;
+  }
+
+  function inlineToMarkdown(node) {
+    if (node.nodeType === Node.TEXT_NODE) return mdEscape(node.textContent.replace(/\s+/g, ' '));
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+    const inner = () => [...node.childNodes].map(inlineToMarkdown).join('');
+    switch (node.tagName) {
+      case 'B': case 'STRONG': return mdWrap('**', inner());
+      case 'I': case 'EM': return mdWrap('*', inner());
+      case 'S': case 'STRIKE': case 'DEL': return mdWrap('~~', inner());
+      case 'CODE': return '`' + node.textContent + '`';
+      case 'A': return `[${inner()}](${node.getAttribute('href') || ''})`;
+      case 'IMG': return `![${mdEscape(node.getAttribute('alt') || '')}](${node.getAttribute('src') || ''})`;
+      case 'BR': return '\n';
+      default: return inner();
+    }
+  }
+
+  const MD_BLOCK_TAGS = ['P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI', 'BLOCKQUOTE', 'PRE', 'HR', 'TABLE'];
+
+  // Note headings are H2/H3 (see the format toolbar); they start at
+  // topLevel so they nest under the heading of the board they are on
+  function blocksToMarkdown(parent, topLevel) {
+    const blocks = [];
+    let inline = '';
+    const flush = () => {
+      const text = inline.split('\n').map(l => l.trim()).join('\n').trim();
+      if (text) blocks.push(text);
+      inline = '';
+    };
+    parent.childNodes.forEach(node => {
+      if (node.nodeType !== Node.ELEMENT_NODE || !MD_BLOCK_TAGS.includes(node.tagName)) {
+        inline += inlineToMarkdown(node);
+        return;
+      }
+      flush();
+      const tag = node.tagName;
+      if (/^H\d$/.test(tag)) {
+        const text = inlineToMarkdown(node).trim();
+        if (text) blocks.push(mdHeading(topLevel + Math.max(0, +tag[1] - 2), text));
+      } else if (tag === 'UL' || tag === 'OL') {
+        blocks.push(listToMarkdown(node, topLevel));
+      } else if (tag === 'BLOCKQUOTE') {
+        blocks.push(blocksToMarkdown(node, topLevel).split('\n').map(l => '> ' + l).join('\n'));
+      } else if (tag === 'PRE') {
+        blocks.push('```\n' + node.textContent.replace(/\n$/, '') + '\n```');
+      } else if (tag === 'HR') {
+        blocks.push('---');
+      } else if (tag === 'TABLE') {
+        blocks.push(tableToMarkdown(node));
+      } else {
+        const text = blocksToMarkdown(node, topLevel);
+        if (text) blocks.push(text);
+      }
+    });
+    flush();
+    return blocks.filter(Boolean).join('\n\n');
+  }
+
+  function listToMarkdown(list, topLevel) {
+    return [...list.children].filter(li => li.tagName === 'LI').map((li, i) => {
+      const marker = list.tagName === 'OL' ? `${i + 1}. ` : '- ';
+      const body = blocksToMarkdown(li, topLevel).replace(/\n\n/g, '\n');
+      return marker + body.split('\n').join('\n' + ' '.repeat(marker.length));
+    }).join('\n');
+  }
+
+  function tableToMarkdown(table) {
+    return markdownTable([...table.querySelectorAll('tr')].map(tr =>
+      [...tr.children].map(cell => inlineToMarkdown(cell).trim().replace(/\|/g, '\\|').replace(/\n/g, ' '))));
+  }
+
+  // The first row is the header
+  function markdownTable(rows) {
+    if (!rows.length) return '';
+    const width = Math.max(...rows.map(r => r.length));
+    const line = (cells) => '| ' + Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ') + ' |';
+    return [line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n');
+  }
+
+  function htmlToMarkdown(html, topLevel) {
+    const div = document.createElement('div');
+    div.innerHTML = html || '';
+    return blocksToMarkdown(div, topLevel);
+  }
+
+  // Reading order on the canvas: rows top to bottom, each row left to right.
+  // Cards whose tops are within MD_ROW_TOLERANCE px share a row.
+  const MD_ROW_TOLERANCE = 60;
+
+  function sortByPosition(cards) {
+    const rows = [];
+    [...cards].sort((a, b) => a.y - b.y).forEach(card => {
+      const row = rows[rows.length - 1];
+      if (row && card.y - row[0].y < MD_ROW_TOLERANCE) row.push(card);
+      else rows.push([card]);
+    });
+    return rows.flatMap(row => row.sort((a, b) => a.x - b.x));
+  }
+
+  function cardToMarkdown(card, level, subBoards, visited) {
+    switch (card.type) {
+      case 'note':
+        return htmlToMarkdown(card.content, level);
+      case 'todo': {
+        const items = (card.items || []).filter(item => item.text)
+          .map(item => `- [${item.done ? 'x' : ' '}] ${mdEscape(item.text)}`).join('\n');
+        return [card.title ? mdHeading(level, mdEscape(card.title)) : '', items].filter(Boolean).join('\n\n');
+      }
+      case 'link': {
+        if (!card.url) return '';
+        const link = `[${mdEscape(card.title || card.url)}](${card.url})`;
+        return card.description ? `${link} — ${mdEscape(card.description)}` : link;
+      }
+      case 'image':
+        if (!card.imageData) return '';
+        return isInlineImage(card.imageData)
+          ? `*[${mdEscape(card.caption || 'Imagem')}]*`
+          : `![${mdEscape(card.caption || '')}](${card.imageData})`;
+      case 'table': {
+        const cells = tableCells(card.cells).map(row => row.map(cell => mdEscape(cell).replace(/\|/g, '\\|')));
+        if (!cells.some(row => row.some(Boolean))) return '';
+        // Markdown tables always have a header; an empty one stands in
+        return markdownTable(card.headerRow ? cells : [cells[0].map(() => ''), ...cells]);
+      }
+      case 'shape':
+        return card.text ? mdEscape(card.text) : '';
+      case 'column': {
+        const children = (card.childCardIds || []).map(id => state.cards[id]).filter(Boolean)
+          .map(child => cardToMarkdown(child, level + 1, subBoards, visited)).filter(Boolean);
+        return [mdHeading(level, mdEscape(card.title || 'Coluna')), ...children].join('\n\n');
+      }
+      case 'board':
+        if (subBoards && state.boards[card.linkedBoardId] && !visited.has(card.linkedBoardId)) {
+          return boardToMarkdown(card.linkedBoardId, level, subBoards, visited);
+        }
+        return `- 📋 **${mdEscape(card.name || 'Quadro')}** (sub-quadro)`;
+      default:
+        return '';
+    }
+  }
+
+  function boardToMarkdown(boardId, level, subBoards, visited = new Set()) {
+    visited.add(boardId);
+    const board = state.boards[boardId];
+    const cards = sortByPosition(board.cardIds.map(id => state.cards[id]).filter(c => c && !c._inColumn));
+    const parts = [mdHeading(level, mdEscape(board.name || 'Quadro'))];
+    cards.forEach(card => {
+      const text = cardToMarkdown(card, level + 1, subBoards, visited);
+      if (text) parts.push(text);
+    });
+    const relations = board.connections
+      .filter(conn => state.cards[conn.fromCardId] && state.cards[conn.toCardId])
+      .map(conn => {
+        const label = conn.label ? ` (${mdEscape(conn.label)})` : '';
+        return `- ${mdEscape(describeCard(state.cards[conn.fromCardId]))} → ${mdEscape(describeCard(state.cards[conn.toCardId]))}${label}`;
+      });
+    if (relations.length) parts.push(mdHeading(level + 1, 'Relações'), relations.join('\n'));
+    return parts.join('\n\n');
+  }
+
+  function exportBoardMarkdown(boardId, subBoards) {
+    const board = state.boards[boardId];
+    if (!board) return;
+    const markdown = boardToMarkdown(boardId, 1, subBoards) + '\n';
+    downloadFile(markdown, `quadro-${slugify(board.name)}-${new Date().toISOString().slice(0, 10)}.md`, 'text/markdown');
+    showToast('✅ Markdown exportado!');
+  }
+
+  async function copyBoardMarkdown(boardId, subBoards) {
+    if (!state.boards[boardId]) return;
+    try {
+      await navigator.clipboard.writeText(boardToMarkdown(boardId, 1, subBoards) + '\n');
+      showToast('📋 Markdown copiado!');
+    } catch (e) {
+      console.error('Erro ao copiar:', e);
+      showToast('⚠️ Não foi possível copiar. Use a opção de baixar o arquivo.');
+    }
+  }
+
+  // --- Image (SVG / PNG) ---
+  // The board is redrawn as plain SVG shapes and text from the card data,
+  // with sizes and colors taken from the rendered cards, so the result does
+  // not depend on pan/zoom. PNG is the same SVG rasterized on a canvas.
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const IMAGE_EXPORT_PADDING = 40;
+  const CARD_PADDING = 14;
+  const LINE_HEIGHT = 1.45;
+
+  function svgEl(parent, tag, attrs = {}) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+    if (parent) parent.appendChild(el);
+    return el;
+  }
+
+  function cardBox(card) {
+    const el = document.getElementById(card.id);
+    return {
+      x: card.x,
+      y: card.y,
+      w: (el && el.offsetWidth) || card.width || 260,
+      h: (el && el.offsetHeight) || card.height || 160
+    };
+  }
+
+  let measureContext = null;
+  function measureText(text, font) {
+    if (measureContext === null) measureContext = document.createElement('canvas').getContext('2d') || false;
+    if (!measureContext) return text.length * parseFloat(font.match(/(\d+)px/)[1]) * 0.55;
+    measureContext.font = font;
+    return measureContext.measureText(text).width;
+  }
+
+  function wrapText(text, font, maxWidth) {
+    const lines = [];
+    let line = '';
+    text.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? line + ' ' + word : word;
+      if (line && measureText(candidate, font) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    if (line) lines.push(line);
+    return lines;
+  }
+
+  // Cut short with an ellipsis to fit on one line
+  function fitText(text, font, maxWidth) {
+    if (measureText(text, font) <= maxWidth) return text;
+    let end = text.length;
+    while (end > 0 && measureText(text.slice(0, end) + '…', font) > maxWidth) end--;
+    return end ? text.slice(0, end) + '…' : '';
+  }
+
+  // Note HTML as a list of text blocks, marking headings and list items
+  function htmlTextBlocks(html) {
+    const div = document.createElement('div');
+    div.innerHTML = html || '';
+    const blocks = [];
+    let current = null;
+    const walk = (node, kind) => {
+      node.childNodes.forEach(child => {
+        if (child.nodeType === Node.TEXT_NODE) {
+          if (!current) blocks.push(current = { text: '', kind });
+          current.text += child.textContent;
+          return;
+        }
+        if (child.nodeType !== Node.ELEMENT_NODE) return;
+        const isBlock = child.tagName === 'BR' || MD_BLOCK_TAGS.includes(child.tagName);
+        if (isBlock) current = null;
+        walk(child, /^H\d$/.test(child.tagName) ? 'heading' : child.tagName === 'LI' ? 'bullet' : kind);
+        if (isBlock) current = null;
+      });
+    };
+    walk(div, 'text');
+    return blocks.map(b => ({ ...b, text: b.text.replace(/\s+/g, ' ').trim() })).filter(b => b.text);
+  }
+
+  // Lays out text lines top-down inside a card; returns the next y
+  function drawLines(group, blocks, x, y, width, style) {
+    blocks.forEach(block => {
+      const size = block.kind === 'heading' ? style.size + 3 : block.size || style.size;
+      const weight = block.kind === 'heading' || block.bold ? 600 : 400;
+      const font = `${weight} ${size}px ${style.family}`;
+      const indent = block.kind === 'bullet' ? 14 : block.indent || 0;
+      const lines = wrapText(block.text, font, width - indent);
+      lines.forEach((line, i) => {
+        y += size * LINE_HEIGHT;
+        if (i === 0 && block.kind === 'bullet') {
+          svgEl(group, 'circle', { cx: x + 4, cy: y - size * 0.35, r: 2, fill: style.color });
+        }
+        const text = svgEl(group, 'text', {
+          x: x + indent, y, 'font-family': style.family, 'font-size': size, 'font-weight': weight,
+          fill: block.color || style.color
+        });
+        if (block.strike) text.setAttribute('text-decoration', 'line-through');
+        text.textContent = line;
+      });
+      if (block.check !== undefined && lines.length) {
+        const top = y - (lines.length - 1) * size * LINE_HEIGHT - size * 0.85;
+        svgEl(group, 'rect', {
+          x, y: top, width: 12, height: 12, rx: 3,
+          fill: block.check ? style.accent : 'none', stroke: block.check ? style.accent : style.muted
+        });
+        if (block.check) svgEl(group, 'path', { d: `M ${x + 3} ${top + 6} l 2 2.5 l 4 -5`, stroke: '#fff', 'stroke-width': 1.6, fill: 'none' });
+      }
+      y += 4;
+    });
+    return y;
+  }
+
+  function drawCard(svg, card, box, style, images) {
+    if (card.type === 'shape') {
+      drawShapeCard(svg, card, box, style);
+      return;
+    }
+    const el = document.getElementById(card.id);
+    const computed = el ? getComputedStyle(el) : null;
+    const background = card.type === 'image' ? 'transparent' : (computed && computed.backgroundColor) || card.color || '#ffffff';
+    const color = (computed && computed.color) || style.color;
+    const textStyle = { ...style, color };
+    const clipId = 'clip-' + card.id;
+    const clip = svgEl(svg.querySelector('defs'), 'clipPath', { id: clipId });
+    svgEl(clip, 'rect', { x: box.x, y: box.y, width: box.w, height: box.h, rx: 12 });
+
+    const group = svgEl(svg, 'g', { 'clip-path': `url(#${clipId})` });
+    svgEl(group, 'rect', { x: box.x, y: box.y, width: box.w, height: box.h, rx: 12, fill: background });
+    const x = box.x + CARD_PADDING;
+    const width = box.w - CARD_PADDING * 2;
+    let y = box.y + CARD_PADDING - 4;
+
+    switch (card.type) {
+      case 'note':
+        drawLines(group, htmlTextBlocks(card.content), x, y, width, textStyle);
+        break;
+      case 'todo': {
+        const blocks = (card.items || []).filter(item => item.text).map(item => ({
+          text: item.text, indent: 20, check: !!item.done, strike: item.done, color: item.done ? style.muted : undefined
+        }));
+        if (card.title) blocks.unshift({ text: card.title, bold: true, size: style.size + 1 });
+        drawLines(group, blocks, x, y, width, textStyle);
+        break;
+      }
+      case 'link':
+        drawLines(group, [
+          { text: card.title || card.url || '', bold: true },
+          { text: card.url || '', size: style.size - 2, color: style.accent },
+          { text: card.description || '', size: style.size - 1 }
+        ].filter(b => b.text), x, y, width, textStyle);
+        break;
+      case 'image':
+        if (images[card.imageData]) {
+          svgEl(group, 'image', {
+            href: images[card.imageData], x: box.x, y: box.y, width: box.w, height: box.h,
+            preserveAspectRatio: 'xMidYMid slice'
+          });
+        }
+        break;
+      case 'column': {
+        y = drawLines(group, [{ text: card.title || 'Coluna', bold: true, size: style.size + 1 }], x, y, width, textStyle) + 6;
+        (card.childCardIds || []).map(id => state.cards[id]).filter(Boolean).forEach(child => {
+          const blocks = htmlTextBlocks(child.content);
+          const inner = svgEl(null, 'g');
+          const bottom = drawLines(inner, blocks, x + 10, y + 4, width - 20, textStyle);
+          svgEl(group, 'rect', {
+            x, y, width, height: bottom - y + 8, rx: 8,
+            fill: child.color || '#ffffff', stroke: style.border
+          });
+          group.appendChild(inner);
+          y = bottom + 16;
+        });
+        break;
+      }
+      case 'table': {
+        const widths = tableColWidths(card);
+        const size = style.size - 1;
+        const rowHeight = Math.round(size * 2.2);
+        let top = box.y + TABLE_PADDING;
+        tableCells(card.cells).forEach((row, r) => {
+          const header = r === 0 && card.headerRow;
+          const font = `${header ? 600 : 400} ${size}px ${style.family}`;
+          let left = box.x + TABLE_PADDING;
+          row.forEach((value, c) => {
+            svgEl(group, 'rect', {
+              x: left, y: top, width: widths[c], height: rowHeight,
+              fill: header ? style.border : 'none', 'fill-opacity': 0.5, stroke: style.border
+            });
+            const text = svgEl(group, 'text', {
+              x: left + 8, y: top + rowHeight * 0.65, 'font-family': style.family, 'font-size': size,
+              'font-weight': header ? 600 : 400, fill: color
+            });
+            text.textContent = fitText(value, font, widths[c] - 16);
+            left += widths[c];
+          });
+          top += rowHeight;
+        });
+        break;
+      }
+      case 'sketch':
+        drawSketchStrokes(group, card.strokes, box.x, box.y);
+        break;
+      case 'board': {
+        if (card.coverImage && images[card.coverImage]) {
+          const coverHeight = Math.round(box.h * 0.55);
+          svgEl(group, 'image', {
+            href: images[card.coverImage], x: box.x, y: box.y, width: box.w, height: coverHeight,
+            preserveAspectRatio: 'xMidYMid slice'
+          });
+          y = box.y + coverHeight;
+        }
+        drawLines(group, [{ text: '📋 ' + (card.name || 'Quadro'), bold: true, size: style.size + 1 }], x, y, width, textStyle);
+        break;
+      }
+    }
+    svgEl(svg, 'rect', {
+      x: box.x + 0.5, y: box.y + 0.5, width: box.w - 1, height: box.h - 1, rx: 12,
+      fill: 'none', stroke: card.type === 'image' ? 'none' : style.border
+    });
+  }
+
+  // Shapes have no card background or border, only their outline and text
+  function drawShapeCard(svg, card, box, style) {
+    const group = svgEl(svg, 'g');
+    drawShape(group, card, box.x, box.y, box.w, box.h);
+    if (!card.text || isLineShape(card)) return;
+    const el = document.getElementById(card.id);
+    const text = el && el.querySelector('.shape-text');
+    const color = (text && getComputedStyle(text).color) || style.color;
+    const font = `400 ${style.size}px ${style.family}`;
+    const lines = wrapText(card.text, font, box.w - CARD_PADDING * 2);
+    const lineHeight = style.size * LINE_HEIGHT;
+    let y = box.y + (box.h - lines.length * lineHeight) / 2 + style.size;
+    lines.forEach(line => {
+      const node = svgEl(group, 'text', {
+        x: box.x + box.w / 2, y, 'text-anchor': 'middle', 'font-family': style.family, 'font-size': style.size, fill: color
+      });
+      node.textContent = line;
+      y += lineHeight;
+    });
+  }
+
+  // Image sources as data URLs: an SVG rendered as an image can't load
+  // anything external
+  async function loadExportImages(cards) {
+    const images = {};
+    for (const card of cards) {
+      for (const field of IMAGE_FIELDS) {
+        const src = card[field];
+        if (!src || images[src]) continue;
+        if (isInlineImage(src)) {
+          images[src] = src;
+          continue;
+        }
+        try {
+          const res = await fetch(src);
+          if (res.ok) images[src] = await blobToDataUrl(await res.blob());
+        } catch (e) {
+          console.error('Erro ao carregar imagem:', e);
+        }
+      }
+    }
+    return images;
+  }
+
+  async function buildBoardSvg(boardId, onlySelection) {
+    const board = state.boards[boardId];
+    let cards = board.cardIds.map(id => state.cards[id]).filter(c => c && !c._inColumn);
+    if (onlySelection) cards = cards.filter(c => state.selectedCardIds.has(c.id));
+    if (!cards.length) return null;
+
+    const rootStyle = getComputedStyle(document.documentElement);
+    const cssVar = (name, fallback) => rootStyle.getPropertyValue(name).trim() || fallback;
+    const style = {
+      family: cssVar('--font-family', 'sans-serif'),
+      size: 14,
+      color: cssVar('--text-primary', '#1a1a2e'),
+      muted: cssVar('--text-muted', '#9a9aaa'),
+      accent: cssVar('--accent', '#4a7dff'),
+      border: cssVar('--border-card', '#e0e0e0')
+    };
+
+    const boxes = {};
+    cards.forEach(card => { boxes[card.id] = cardBox(card); });
+    const minX = Math.min(...cards.map(c => boxes[c.id].x)) - IMAGE_EXPORT_PADDING;
+    const minY = Math.min(...cards.map(c => boxes[c.id].y)) - IMAGE_EXPORT_PADDING;
+    const width = Math.max(...cards.map(c => boxes[c.id].x + boxes[c.id].w)) + IMAGE_EXPORT_PADDING - minX;
+    const height = Math.max(...cards.map(c => boxes[c.id].y + boxes[c.id].h)) + IMAGE_EXPORT_PADDING - minY;
+
+    const svg = svgEl(null, 'svg', { viewBox: `${minX} ${minY} ${width} ${height}`, width, height });
+    const defs = svgEl(svg, 'defs');
+    svgEl(svg, 'rect', { x: minX, y: minY, width, height, fill: cssVar('--bg-canvas', '#f5f6fa') });
+
+    const included = new Set(cards.map(c => c.id));
+    board.connections.forEach(conn => {
+      if (!included.has(conn.fromCardId) || !included.has(conn.toCardId)) return;
+      const fromPos = conn.fromPos || 'right';
+      const toPos = conn.toPos || 'left';
+      const from = getCardPoint(state.cards[conn.fromCardId], boxes[conn.fromCardId], fromPos);
+      const to = getCardPoint(state.cards[conn.toCardId], boxes[conn.toCardId], toPos);
+      const color = conn.color || '#888888';
+      svgEl(svg, 'path', {
+        d: buildCurvePath(from, to, fromPos, toPos, state.cards[conn.fromCardId], state.cards[conn.toCardId]), stroke: color, 'stroke-width': 2, fill: 'none',
+        'marker-end': `url(#${createArrowMarker(defs, color)})`
+      });
+    });
+
+    const images = await loadExportImages([...cards, ...cards.flatMap(c => (c.childCardIds || []).map(id => state.cards[id]).filter(Boolean))]);
+    [...cards].sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0)).forEach(card => drawCard(svg, card, boxes[card.id], style, images));
+    return { svg, width, height };
+  }
+
+  async function exportBoardImage(boardId, { format, scale, onlySelection }) {
+    const board = state.boards[boardId];
+    const result = await buildBoardSvg(boardId, onlySelection);
+    if (!result) {
+      showToast('⚠️ Nada para exportar neste quadro.');
+      return;
+    }
+    const { svg, width, height } = result;
+    svg.setAttribute('width', Math.round(width * scale));
+    svg.setAttribute('height', Math.round(height * scale));
+    const source = new XMLSerializer().serializeToString(svg);
+    const filename = `quadro-${slugify(board.name)}-${new Date().toISOString().slice(0, 10)}`;
+    if (format === 'svg') {
+      downloadFile(source, filename + '.svg', 'image/svg+xml');
+      showToast('✅ SVG exportado!');
+      return;
+    }
+
+    const url = URL.createObjectURL(new Blob([source], { type: 'image/svg+xml' }));
+    try {
+      const img = await new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Falha ao desenhar o SVG'));
+        image.src = url;
+      });
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+      const png = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+      if (!png) throw new Error('Imagem grande demais');
+      downloadFile(png, filename + '.png');
+      showToast('✅ PNG exportado!');
+    } catch (e) {
+      console.error('Erro ao exportar PNG:', e);
+      showToast('❌ Não foi possível gerar o PNG. Tente uma escala menor ou exporte em SVG.');
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  // --- HTML snapshot ---
+  // A single offline file for people without the app: every board is
+  // rendered with the app's own renderCard into the live canvas, copied
+  // without its editing controls and shown by a small read-only viewer
+  // together with the inlined style.css.
+  const SNAPSHOT_STRIP = '.card-delete, .connection-point, .resize-handle, .add-todo-btn, .todo-delete, .column-add-btn, .column-item-delete, .image-placeholder, .connection-hit-area, .table-actions, .table-col-resizer, .shape-handle, .shape-hit, .sketch-toolbar, .remote-cursor';
+
+  function snapshotCanvas() {
+    const copy = dom.canvas.cloneNode(true);
+    copy.querySelectorAll(SNAPSHOT_STRIP).forEach(el => el.remove());
+    copy.querySelectorAll('[contenteditable]').forEach(el => el.removeAttribute('contenteditable'));
+    copy.querySelectorAll('.card').forEach(el => el.classList.remove('card-new', 'selected', 'editing', 'search-match'));
+    // Copies don't keep values and checked states set as properties
+    const inputs = dom.canvas.querySelectorAll('input');
+    copy.querySelectorAll('input').forEach((input, i) => {
+      if (input.type === 'checkbox') {
+        input.toggleAttribute('checked', inputs[i].checked);
+        input.disabled = true;
+      } else {
+        input.setAttribute('value', inputs[i].value);
+        input.readOnly = true;
+      }
+    });
+    copy.querySelectorAll('.card').forEach(el => {
+      const card = state.cards[el.id];
+      if (!card) return;
+      if (card.type === 'board' && card.linkedBoardId) el.dataset.board = card.linkedBoardId;
+      if (card.type === 'link' && card.url) el.dataset.href = card.url;
+    });
+    return copy;
+  }
+
+  async function inlineStyles() {
+    const sheet = Array.from(document.styleSheets).find(s => s.href && /style\.css(\?|$)/.test(s.href));
+    try {
+      if (sheet) return Array.from(sheet.cssRules).map(rule => rule.cssText).join('\n');
+    } catch (e) {
+      // Rules of a file:// sheet may be unreadable; fetch the file instead
+    }
+    const res = await fetch('style.css');
+    return res.ok ? res.text() : '';
+  }
+
+  // Runs inside the exported file, so it must not use anything from this scope
+  function snapshotViewer() {
+    const data = JSON.parse(document.getElementById('snapshot-data').textContent);
+    const viewport = document.getElementById('canvas-viewport');
+    const canvas = document.getElementById('canvas');
+    const breadcrumb = document.getElementById('breadcrumb');
+    const zoomLevel = document.getElementById('zoom-level');
+    const view = { panX: 0, panY: 0, zoom: 1 };
+    let panStart = null;
+
+    function update() {
+      canvas.style.transform = `translate(${view.panX}px, ${view.panY}px) scale(${view.zoom})`;
+      zoomLevel.textContent = Math.round(view.zoom * 100) + '%';
+      const gridSize = 20 * view.zoom;
+      viewport.style.backgroundSize = `${gridSize}px ${gridSize}px`;
+      viewport.style.backgroundPosition = `${view.panX % gridSize}px ${view.panY % gridSize}px`;
+    }
+
+    function zoomTo(zoom, centerX, centerY) {
+      const rect = viewport.getBoundingClientRect();
+      if (centerX === undefined) {
+        centerX = rect.left + rect.width / 2;
+        centerY = rect.top + rect.height / 2;
+      }
+      zoom = Math.min(3, Math.max(0.1, zoom));
+      const x = (centerX - rect.left - view.panX) / view.zoom;
+      const y = (centerY - rect.top - view.panY) / view.zoom;
+      view.panX = centerX - rect.left - x * zoom;
+      view.panY = centerY - rect.top - y * zoom;
+      view.zoom = zoom;
+      update();
+    }
+
+    function fit() {
+      const cards = Array.from(canvas.querySelectorAll(':scope > .card'));
+      if (!cards.length) {
+        Object.assign(view, { panX: 0, panY: 0, zoom: 1 });
+        update();
+        return;
+      }
+      const minX = Math.min(...cards.map(el => el.offsetLeft));
+      const minY = Math.min(...cards.map(el => el.offsetTop));
+      const maxX = Math.max(...cards.map(el => el.offsetLeft + el.offsetWidth));
+      const maxY = Math.max(...cards.map(el => el.offsetTop + el.offsetHeight));
+      const rect = viewport.getBoundingClientRect();
+      const padding = 80;
+      const contentW = maxX - minX + padding * 2;
+      const contentH = maxY - minY + padding * 2;
+      view.zoom = Math.min(1.5, Math.max(0.2, Math.min(rect.width / contentW, rect.height / contentH))) || 1;
+      view.panX = (rect.width - contentW * view.zoom) / 2 - (minX - padding) * view.zoom;
+      view.panY = (rect.height - contentH * view.zoom) / 2 - (minY - padding) * view.zoom;
+      update();
+    }
+
+    function show(boardId) {
+      const board = data.boards[boardId];
+      if (!board) return;
+      canvas.innerHTML = board.html;
+      document.title = board.name;
+      breadcrumb.innerHTML = '';
+      const path = [];
+      for (let id = boardId; id && data.boards[id] && !path.includes(id); id = data.boards[id].parentId) path.unshift(id);
+      path.forEach((id, i) => {
+        if (i > 0) {
+          const sep = document.createElement('span');
+          sep.className = 'separator';
+          sep.textContent = '›';
+          breadcrumb.appendChild(sep);
+        }
+        const crumb = document.createElement('span');
+        crumb.className = 'crumb' + (i === path.length - 1 ? ' current' : '');
+        crumb.textContent = data.boards[id].name;
+        if (i < path.length - 1) crumb.addEventListener('click', () => show(id));
+        breadcrumb.appendChild(crumb);
+      });
+      fit();
+    }
+
+    viewport.addEventListener('click', (e) => {
+      const card = e.target.closest('.card');
+      if (!card || panStart && panStart.moved) return;
+      if (card.dataset.board && data.boards[card.dataset.board]) show(card.dataset.board);
+      else if (card.dataset.href) window.open(card.dataset.href, '_blank', 'noopener');
+    });
+    viewport.addEventListener('mousedown', (e) => {
+      if (e.button !== 0) return;
+      panStart = { x: e.clientX - view.panX, y: e.clientY - view.panY, moved: false };
+      viewport.classList.add('panning');
+    });
+    window.addEventListener('mousemove', (e) => {
+      if (!panStart || !viewport.classList.contains('panning')) return;
+      view.panX = e.clientX - panStart.x;
+      view.panY = e.clientY - panStart.y;
+      panStart.moved = true;
+      update();
+    });
+    window.addEventListener('mouseup', () => viewport.classList.remove('panning'));
+    viewport.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      if (e.ctrlKey || e.metaKey) {
+        zoomTo(view.zoom + (e.deltaY > 0 ? -0.08 : 0.08), e.clientX, e.clientY);
+      } else {
+        view.panX -= e.deltaX;
+        view.panY -= e.deltaY;
+        update();
+      }
+    }, { passive: false });
+    document.getElementById('zoom-in-btn').addEventListener('click', () => zoomTo(view.zoom + 0.1));
+    document.getElementById('zoom-out-btn').addEventListener('click', () => zoomTo(view.zoom - 0.1));
+    document.getElementById('zoom-fit-btn').addEventListener('click', fit);
+    window.addEventListener('resize', fit);
+    show(data.rootId);
+  }
+
+  async function exportBoardHtml(boardId, subBoards) {
+    const board = state.boards[boardId];
+    if (!board) return;
+    const boardIds = subBoards ? Object.keys(collectBoardSubtree(boardId).boards) : [boardId];
+
+    // Re-rendering throws away the editor DOM, so let an open edit save first
+    if (dom.canvas.contains(document.activeElement)) document.activeElement.blur();
+    if (state.ui.editingCardId) stopEditing(state.ui.editingCardId);
+
+    // Rendering is synchronous, so the browser never paints the other boards
+    const currentBoardId = state.currentBoardId;
+    const snapshots = {};
+    try {
+      boardIds.forEach(id => {
+        state.currentBoardId = id;
+        renderCurrentBoard();
+        snapshots[id] = snapshotCanvas();
+      });
+    } finally {
+      state.currentBoardId = currentBoardId;
+      renderCurrentBoard();
+    }
+
+    const sources = boardIds.flatMap(id => Object.values(state.cards).filter(c => c.boardId === id));
+    const images = await loadExportImages(sources);
+    const boards = {};
+    boardIds.forEach(id => {
+      const copy = snapshots[id];
+      copy.querySelectorAll('img').forEach(img => {
+        const src = img.getAttribute('src');
+        if (images[src]) img.setAttribute('src', images[src]);
+      });
+      // Sub-boards left out of the file can't be opened
+      copy.querySelectorAll('[data-board]').forEach(el => {
+        if (!boardIds.includes(el.dataset.board)) el.removeAttribute('data-board');
+      });
+      boards[id] = {
+        name: state.boards[id].name || 'Quadro',
+        // The exported board is the top of the file's breadcrumb
+        parentId: id === boardId ? null : state.boards[id].parentId,
+        html: copy.innerHTML
+      };
+    });
+
+    const css = await inlineStyles();
+    const json = JSON.stringify({ rootId: boardId, boards }).replace(/</g, '\\u003c');
+    const theme = document.documentElement.getAttribute('data-theme') || 'light';
+    const html = `<!DOCTYPE html>
+<html lang="pt-BR" data-theme="${theme}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(board.name || 'Quadro')}</title>
+  <style>
+${css}
+#canvas-viewport { cursor: grab; }
+.card { cursor: default; }
+.card[data-board], .card[data-href] { cursor: pointer; }
+.snapshot-note { color: var(--text-muted); font-size: 12px; white-space: nowrap; }
+  </style>
+</head>
+<body>
+  <div id="app">
+    <main id="main-area">
+      <header id="topbar">
+        <div class="topbar-left"><div id="breadcrumb"></div></div>
+        <div class="topbar-right">
+          <span class="snapshot-note">Somente leitura · exportado em ${new Date().toLocaleDateString('pt-BR')}</span>
+          <div class="zoom-controls">
+            <button class="topbar-btn" id="zoom-out-btn" title="Diminuir zoom">−</button>
+            <span id="zoom-level">100%</span>
+            <button class="topbar-btn" id="zoom-in-btn" title="Aumentar zoom">+</button>
+            <button class="topbar-btn" id="zoom-fit-btn" title="Ajustar zoom">⤢</button>
+          </div>
+        </div>
+      </header>
+      <div id="canvas-viewport"><div id="canvas"></div></div>
+    </main>
+  </div>
+  <script type="application/json" id="snapshot-data">${json}</script>
+  <script>(${snapshotViewer.toString()})();</script>
+</body>
+</html>
+`;
+    downloadFile(html, `quadro-${slugify(board.name)}-${new Date().toISOString().slice(0, 10)}.html`, 'text/html');
+    const missing = sources.some(c => IMAGE_FIELDS.some(f => c[f] && !images[c[f]]));
+    showToast(missing ? '⚠️ HTML exportado, mas algumas imagens não puderam ser incluídas.' : '✅ HTML exportado!');
+  }
+
+  // --- Export dialog ---
+  // Formats offered by "Exportar este quadro". options lists the dialog
+  // options a format uses; currentOnly formats need the board on screen.
+  const BOARD_EXPORTS = [
+    { id: 'json', label: 'JSON', hint: 'Para importar em outro Quadro de Planejamento', options: [], run: (boardId) => exportBoard(boardId) },
+    { id: 'markdown', label: 'Markdown', hint: 'Arquivo .md para documentos e issues', options: ['subBoards'], run: (boardId, opts) => exportBoardMarkdown(boardId, opts.subBoards) },
+    { id: 'markdown-copy', label: 'Copiar Markdown', hint: 'Copia o Markdown para a área de transferência', options: ['subBoards'], run: (boardId, opts) => copyBoardMarkdown(boardId, opts.subBoards) },
+    { id: 'png', label: 'Imagem PNG', hint: 'O quadro inteiro, independente do zoom', options: ['scale', 'selection'], currentOnly: true, run: (boardId, opts) => exportBoardImage(boardId, { ...opts, format: 'png' }) },
+    { id: 'svg', label: 'Imagem SVG', hint: 'Vetorial, para editar ou imprimir', options: ['scale', 'selection'], currentOnly: true, run: (boardId, opts) => exportBoardImage(boardId, { ...opts, format: 'svg' }) },
+    { id: 'html', label: 'HTML somente leitura', hint: 'Arquivo único para abrir sem o app, com navegação pelos sub-quadros', options: ['subBoards'], run: (boardId, opts) => exportBoardHtml(boardId, opts.subBoards) }
+  ];
+
+  function showExportDialog(boardId) {
+    const board = state.boards[boardId];
+    if (!board) return;
+    const formats = BOARD_EXPORTS.filter(f => !f.currentOnly || boardId === state.currentBoardId);
+    const choices = formats.map((format, i) => `
+      <label><input type="radio" name="export-format" value="${format.id}"${i === 0 ? ' checked' : ''}> <span><strong>${format.label}</strong><br>${format.hint}</span></label>`).join('');
+    const hasSelection = boardId === state.currentBoardId && state.selectedCardIds.size > 0;
+    showModal(`Exportar "${board.name || 'Quadro'}"`, `
+      <div class="import-choices">${choices}</div>
+      <label class="export-option" data-option="subBoards"><input type="checkbox" id="export-sub-boards" checked> Incluir sub-quadros</label>
+      <label class="export-option" data-option="selection"><input type="checkbox" id="export-selection"${hasSelection ? '' : ' disabled'}> Somente os cartões selecionados</label>
+      <label class="export-option" data-option="scale">Escala
+        <select id="export-scale"><option value="1">1x</option><option value="2" selected>2x</option><option value="3">3x</option></select>
+      </label>
+    `, () => {
+      const input = dom.modalBody.querySelector('input[name="export-format"]:checked');
+      const format = formats.find(f => f.id === (input && input.value)) || formats[0];
+      format.run(boardId, {
+        subBoards: dom.modalBody.querySelector('#export-sub-boards').checked,
+        onlySelection: dom.modalBody.querySelector('#export-selection').checked,
+        scale: parseFloat(dom.modalBody.querySelector('#export-scale').value) || 1
+      });
+    });
+    const sync = () => {
+      const input = dom.modalBody.querySelector('input[name="export-format"]:checked');
+      const format = formats.find(f => f.id === input.value);
+      dom.modalBody.querySelectorAll('.export-option').forEach(option => {
+        option.classList.toggle('hidden', !format.options.includes(option.dataset.option));
+      });
+    };
+    dom.modalBody.querySelectorAll('input[name="export-format"]').forEach(input => input.addEventListener('change', sync));
+    sync();
+  }
+
+  // ============= TRASH =============
+  // Deleted cards go to a trash kept for TRASH_RETENTION_DAYS: on the server
+  // when the boards are there (see server.js), otherwise in this browser (the
+  // IndexedDB meta store, or localStorage without it). An entry holds the
+  // card with everything that goes away with it: a column's notes, a board
+  // card's whole sub-board tree, its connections and its place in a column,
+  // so restoring puts it back where it was.
+  // Entries deleted while the server can't be reached wait in this browser,
+  // without their inline images, and go up with the next trash request.
+  const TRASH_KEY = 'quadro-planejamento-trash';
+  const TRASH_RETENTION_DAYS = 30;
+  const TRASH_ICONS = { note: '📝', todo: '✅', image: '🖼️', link: '🔗', column: '📊', board: '📋', table: '▦', shape: '◇', sketch: '✏️' };
+
+  const trash = {
+    db: null,
+
+    async open() {
+      if (this.db === null) this.db = (await browserDatabase()) || false;
+      return this.db;
+    },
+
+    // Read-modify-write of this browser's trash in one step so tabs don't
+    // overwrite each other's entries
+    async update(fn) {
+      const db = await this.open();
+      const cutoff = Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+      const apply = (entries) => fn((Array.isArray(entries) ? entries : []).filter(entry => entry.deletedAt > cutoff));
+      // Encryption can't run inside an IndexedDB transaction, so with a
+      // passphrase the read and the write are separate steps
+      if (vaultActive()) return this.replace(apply(await readBrowserMeta('trash', TRASH_KEY)));
+      if (!db) {
+        const entries = apply(JSON.parse(localStorage.getItem(TRASH_KEY) || '[]'));
+        localStorage.setItem(TRASH_KEY, JSON.stringify(entries));
+        return entries;
+      }
+      const tx = db.transaction('meta', 'readwrite');
+      const store = tx.objectStore('meta');
+      const entries = apply(await idbRequest(store.get('trash')));
+      store.put(entries, 'trash');
+      await idbTransactionDone(tx);
+      return entries;
+    },
+
+    // Runs request against the server's trash after sending up the entries
+    // waiting here. Resolves to { value } or, without a server to reach, to
+    // null so the caller falls back to this browser's trash.
+    async onServer(request) {
+      if (storage !== serverBackend) return null;
+      try {
+        const waiting = await this.update(entries => entries);
+        if (waiting.length) {
+          await apiRequest('POST', '/api/trash', { entries: waiting });
+          const sent = new Set(waiting.map(e => e.id));
+          await this.update(entries => entries.filter(e => !sent.has(e.id)));
+        }
+        return { value: await request() };
+      } catch (err) {
+        if (!isUnreachable(err)) throw err;
+        return null;
+      }
+    },
+
+    async list() {
+      const remote = await this.onServer(() => apiRequest('GET', '/api/trash'));
+      return remote ? remote.value.entries : this.update(entries => entries);
+    },
+
+    async add(entry) {
+      if (await this.onServer(() => apiRequest('POST', '/api/trash', { entries: [entry] }))) return;
+      await this.update(entries => [storage === serverBackend ? withoutInlineImages(entry) : entry, ...entries]);
+    },
+
+    // Removes the entry and resolves to it, or to null when it is already gone
+    async take(entryId) {
+      const remote = await this.onServer(() => apiRequest('DELETE', '/api/trash/' + encodeURIComponent(entryId))
+        .then(res => res.entry, err => {
+          if (err.status === 404) return null;
+          throw err;
+        }));
+      if (remote) return remote.value;
+      let entry = null;
+      await this.update(entries => entries.filter(e => {
+        if (e.id === entryId) entry = e;
+        return e.id !== entryId;
+      }));
+      return entry;
+    },
+
+    async remove(entryIds) {
+      for (const entryId of entryIds) await this.take(entryId);
+    },
+
+    async clear() {
+      if (await this.onServer(() => apiRequest('DELETE', '/api/trash'))) return;
+      await this.update(() => []);
+    },
+
+    // Connections of a restored card to cards still in the trash move to the
+    // entries holding those cards
+    async hold(connections) {
+      if (await this.onServer(() => apiRequest('POST', '/api/trash/connections', { connections }))) return;
+      await this.update(entries => entries.map(e => {
+        const held = connections.filter(conn => e.cards[conn.fromCardId] || e.cards[conn.toCardId]);
+        return held.length ? { ...e, connections: [...e.connections, ...held] } : e;
+      }));
+    },
+
+    // Writes the entries as given, sealed while the passphrase is on
+    async replace(entries) {
+      await writeBrowserMeta('trash', TRASH_KEY, entries);
+      return entries;
+    }
+  };
+
+  // A copy of the entry for this browser's storage, whose quota the boards'
+  // own cache already uses up; image cards come back without their picture
+  function withoutInlineImages(entry) {
+    const cards = {};
+    Object.entries(entry.cards).forEach(([id, card]) => {
+      cards[id] = { ...card };
+      IMAGE_FIELDS.forEach(field => {
+        if (isInlineImage(card[field])) delete cards[id][field];
+      });
+    });
+    return { ...entry, cards };
+  }
+
+  function moveToTrash(card) {
+    // Nothing worth keeping in a card deleted right after it was created
+    if (describeCard(card) === '(vazio)' && !(card.childCardIds || []).length && card.type !== 'board') return;
+    const board = state.boards[card.boardId];
+    const copy = (value) => JSON.parse(JSON.stringify(value));
+    const entry = {
+      id: uid(),
+      deletedAt: Date.now(),
+      cardId: card.id,
+      type: card.type,
+      label: describeCard(card),
+      boardId: card.boardId,
+      boardName: board ? board.name : '',
+      cards: { [card.id]: copy(card) },
+      boards: {},
+      connections: board ? copy(board.connections.filter(c => c.fromCardId === card.id || c.toCardId === card.id)) : [],
+      column: null
+    };
+    (card.childCardIds || []).forEach(id => {
+      if (state.cards[id]) entry.cards[id] = copy(state.cards[id]);
+    });
+    if (card.type === 'board' && card.linkedBoardId) {
+      const subtree = collectBoardSubtree(card.linkedBoardId);
+      Object.assign(entry.boards, copy(subtree.boards));
+      Object.assign(entry.cards, copy(subtree.cards));
+    }
+    const column = card._inColumn && state.cards[card._inColumn];
+    if (column) {
+      entry.column = { id: column.id, index: (column.childCardIds || []).indexOf(card.id), x: column.x, y: column.y };
+    }
+    trash.add(entry).catch(err => {
+      console.error('Erro ao mover para a lixeira:', err);
+      showToast('⚠️ Não foi possível guardar o item na lixeira.');
+    });
+  }
+
+  async function restoreFromTrash(entryId) {
+    const entry = await trash.take(entryId);
+    if (!entry) return;
+    if (state.cards[entry.cardId]) {
+      showToast('ℹ️ Este item já está de volta no quadro.');
+      return;
+    }
+
+    pushHistory();
+    // The original board may have been deleted too
+    const boardId = state.boards[entry.boardId] ? entry.boardId : state.currentBoardId;
+    const board = state.boards[boardId];
+    Object.assign(state.boards, entry.boards);
+    Object.assign(state.cards, entry.cards);
+    markRecordsDirty(entry);
+    markDirty('boards', boardId);
+    if (boardId !== entry.boardId) {
+      Object.values(entry.cards).forEach(c => { if (c.boardId === entry.boardId) c.boardId = boardId; });
+      Object.values(entry.boards).forEach(b => { if (b.parentId === entry.boardId) b.parentId = boardId; });
+    }
+
+    const card = state.cards[entry.cardId];
+    const column = entry.column && state.cards[entry.column.id];
+    if (column && column.boardId === boardId) {
+      markDirty('cards', column.id);
+      column.childCardIds = column.childCardIds || [];
+      column.childCardIds.splice(clamp(entry.column.index, 0, column.childCardIds.length), 0, card.id);
+      card._inColumn = column.id;
+    } else {
+      if (card._inColumn) {
+        // Its column is gone: put the note where the column was
+        delete card._inColumn;
+        card.x = entry.column ? entry.column.x : 0;
+        card.y = entry.column ? entry.column.y : 0;
+        card.width = card.width || 260;
+      }
+      card.zIndex = ++state.ui.maxZIndex;
+      board.cardIds.push(card.id);
+    }
+
+    // A connection to a card that is still in the trash moves to that card's
+    // entry and comes back with whichever of the two is restored last
+    const onBoard = (id) => state.cards[id] && state.cards[id].boardId === boardId;
+    const waiting = [];
+    entry.connections.forEach(conn => {
+      if (onBoard(conn.fromCardId) && onBoard(conn.toCardId)) {
+        if (!board.connections.some(c => c.id === conn.id)) board.connections.push(conn);
+      } else {
+        waiting.push(conn);
+      }
+    });
+    if (waiting.length) {
+      trash.hold(waiting).catch(err => console.error('Erro ao atualizar a lixeira:', err));
+    }
+
+    if (boardId === state.currentBoardId) renderCurrentBoard();
+    autoSave();
+    showToast(boardId === entry.boardId
+      ? `♻️ Restaurado em "${board.name || 'Quadro'}"`
+      : '♻️ O quadro original não existe mais; restaurado neste quadro');
+  }
+
+  async function showTrashPanel() {
+    let entries;
+    try {
+      entries = await trash.list();
+    } catch (e) {
+      console.error('Erro ao abrir a lixeira:', e);
+      showToast('❌ Não foi possível abrir a lixeira.');
+      return;
+    }
+    // Anything already back on a board (through undo) is no longer in the
+    // trash. The server's trash is shared and this tab may not have seen the
+    // deletion yet, so there it is only hidden.
+    const restored = new Set(entries.filter(e => state.cards[e.cardId]).map(e => e.id));
+    if (restored.size) {
+      if (storage !== serverBackend) await trash.remove(restored);
+      entries = entries.filter(e => !restored.has(e.id));
+    }
+
+    const rows = entries.map(entry => {
+      const extra = Object.keys(entry.cards).length - 1;
+      const when = new Date(entry.deletedAt).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
+      return `
+        <li data-entry="${entry.id}">
+          <span class="trash-icon">${TRASH_ICONS[entry.type] || '📄'}</span>
+          <span class="trash-info"><strong>${escapeHtml(entry.label)}</strong><br>${escapeHtml(entry.boardName || 'Quadro')} · ${when}${extra > 0 ? ` · +${extra} cartão(ões)` : ''}</span>
+          <button class="btn-secondary" data-trash-action="restore">Restaurar</button>
+          <button class="btn-secondary danger" data-trash-action="purge" title="Excluir definitivamente">×</button>
+        </li>`;
+    }).join('');
+    showModal('Lixeira', entries.length ? `
+      <p class="storage-note">Os itens excluídos ficam aqui por ${TRASH_RETENTION_DAYS} dias, ${storage === serverBackend ? 'no servidor' : 'somente neste navegador'}.</p>
+      <ul class="trash-list">${rows}</ul>
+      <button class="btn-secondary danger" data-trash-action="empty">Esvaziar lixeira</button>
+    ` : '<p class="storage-note">A lixeira está vazia.</p>', () => {});
+
+    dom.modalBody.querySelectorAll('[data-trash-action]').forEach(btn => btn.addEventListener('click', async () => {
+      const action = btn.dataset.trashAction;
+      const item = btn.closest('[data-entry]');
+      try {
+        if (action === 'restore') {
+          await restoreFromTrash(item.dataset.entry);
+        } else if (action === 'purge') {
+          await trash.take(item.dataset.entry);
+        } else if (action === 'empty') {
+          // Asks for a second click before deleting everything for good
+          if (!btn.classList.contains('confirming')) {
+            btn.classList.add('confirming');
+            btn.textContent = 'Clique de novo para excluir tudo';
+            return;
+          }
+          await trash.clear();
+        }
+      } catch (e) {
+        console.error('Erro na lixeira:', e);
+        showToast('❌ Não foi possível atualizar a lixeira.');
+      }
+      showTrashPanel();
+    }));
+  }
+
+  // ============= CHANGE TRACKING =============
+  // Every edit names the boards and cards it touched, and each part that
+  // follows the data (history, the journal, live sync) keeps its own set of
+  // those ids, emptied when it catches up. None of them has to compare the
+  // whole workspace to find what changed. Changes applied from another tab
+  // or person reach only the trackers that ask for them.
+  const changeTrackers = [];
+  let applyingExternalChange = false;
+
+  function createChangeTracker(options = {}) {
+    const tracker = { external: !!options.external, boards: new Set(), cards: new Set() };
+    changeTrackers.push(tracker);
+    return tracker;
+  }
+
+  function markDirty(kind, id) {
+    changeTrackers.forEach(t => {
+      if (!applyingExternalChange || t.external) t[kind].add(id);
+    });
+  }
+
+  // Every board and card of a { boards, cards } payload
+  function markRecordsDirty(data) {
+    Object.keys(data.boards || {}).forEach(id => markDirty('boards', id));
+    Object.keys(data.cards || {}).forEach(id => markDirty('cards', id));
+  }
+
+  // Code replacing the data wholesale calls this before and after, so the
+  // records it drops are marked too
+  function markAllDirty() {
+    markRecordsDirty(state);
+  }
+
+  // Empties the tracker, returning the ids it held
+  function takeChanges(tracker) {
+    const ids = { boards: tracker.boards, cards: tracker.cards };
+    tracker.boards = new Set();
+    tracker.cards = new Set();
+    return ids;
+  }
+
+  // ============= HISTORY (Undo/Redo) =============
+  // A step keeps only the boards and cards that changed, as their JSON
+  // before and after (null where the record didn't exist): the records
+  // marked dirty since the previous step closed, compared with the JSON
+  // kept from then.
+  // pushHistory marks the start of an explicit action, whose step closes once
+  // the current task ends; typing, nudges and drags close when editing
+  // pauses, and a small edit that picks up soon after on the same fields of
+  // the same cards joins the step before it. Inline images are swapped for
+  // short tokens so neither the diff nor the steps carry base64 around.
+  const HISTORY_KEY = 'quadro-planejamento-history';
+  const HISTORY_LIMIT = 1000;
+  // JSON kept in steps, images not counted
+  const HISTORY_MAX_CHARS = 20 * 1024 * 1024;
+  const HISTORY_IDLE_MS = 1000;
+  const HISTORY_MERGE_MS = 3000;
+  const HISTORY_IMAGE_PREFIX = 'history-image:';
+  const HISTORY_IMAGE_PATTERN = /history-image:[0-9a-z]+-[0-9a-z]+/g;
+  const historyImageTokens = new Map();
+  const historyChanges = createChangeTracker({ external: true });
+
+  function historyImageToken(dataUrl) {
+    let token = historyImageTokens.get(dataUrl);
+    if (!token) {
+      token = HISTORY_IMAGE_PREFIX + hashString(dataUrl) + '-' + dataUrl.length.toString(36);
+      historyImageTokens.set(dataUrl, token);
+      state.history.images.set(token, dataUrl);
+    }
+    return token;
+  }
+
+  // Panning and zooming a board are not undoable, so view fields stay out
+  function historyJson(kind, record) {
+    let copy = record;
+    if (kind === 'boards') {
+      copy = { ...record };
+      VIEW_FIELDS.forEach(f => delete copy[f]);
+    }
+    IMAGE_FIELDS.forEach(field => {
+      if (!isInlineImage(record[field])) return;
+      if (copy === record) copy = { ...record };
+      copy[field] = historyImageToken(record[field]);
+    });
+    return JSON.stringify(copy);
+  }
+
+  function historyRecord(json) {
+    const record = JSON.parse(json);
+    IMAGE_FIELDS.forEach(field => {
+      const value = record[field];
+      if (typeof value === 'string' && value.startsWith(HISTORY_IMAGE_PREFIX)) {
+        record[field] = state.history.images.get(value) || null;
+      }
+    });
+    return record;
+  }
+
+  function historySnapshot() {
+    const snapshot = { boards: new Map(), cards: new Map() };
+    ['boards', 'cards'].forEach(kind => {
+      Object.values(state[kind]).forEach(record => snapshot[kind].set(record.id, historyJson(kind, record)));
+    });
+    return snapshot;
+  }
+
+  function pushHistory() {
+    commitHistory();
+    state.history.explicit = true;
+  }
+
+  // Called by autoSave for every change
+  function noteHistoryChange() {
+    const history = state.history;
+    if (!history.base) return;
+    if (!history.startedAt) history.startedAt = Date.now();
+    history.changedAt = Date.now();
+    if (!history.explicit) {
+      commitHistorySoon();
+    } else if (!history.commitQueued) {
+      // An action may save more than once; it ends with the current task
+      history.commitQueued = true;
+      Promise.resolve().then(() => {
+        history.commitQueued = false;
+        commitHistory();
+      });
+    }
+  }
+
+  // Brings the base up to date with the records marked since it was last
+  // taken, returning how they changed
+  function collectHistoryChanges() {
+    const base = state.history.base;
+    const dirty = takeChanges(historyChanges);
+    const changes = [];
+    ['boards', 'cards'].forEach(kind => {
+      dirty[kind].forEach(id => {
+        const record = state[kind][id];
+        const before = base[kind].get(id) || null;
+        const after = record ? historyJson(kind, record) : null;
+        if (before === after) return;
+        changes.push({ kind, id, before, after });
+        if (after) base[kind].set(id, after);
+        else base[kind].delete(id);
+      });
+    });
+    return changes;
+  }
+
+  // Closes the step in progress, if anything changed since the last one
+  function commitHistory() {
+    const history = state.history;
+    if (!history.base || isPreviewing()) return;
+    const explicit = history.explicit;
+    const changes = collectHistoryChanges();
+    const step = {
+      changes,
+      boardId: state.currentBoardId,
+      mergeable: !explicit,
+      startedAt: history.startedAt || Date.now(),
+      endedAt: history.changedAt || Date.now()
+    };
+    history.explicit = false;
+    history.startedAt = 0;
+    history.changedAt = 0;
+    if (!changes.length) return;
+    // Selecting a card lifts it to the front; not a step of its own
+    if (!explicit && changes.every(isSoftChange)) return;
+
+    if (!mergeIntoLastStep(step)) history.past.push(step);
+    history.future = [];
+    trimHistory();
+    updateHistoryButtons();
+    saveHistorySoon();
+  }
+
+  const commitHistorySoon = debounce(commitHistory, HISTORY_IDLE_MS);
+
+  function isSoftChange(change) {
+    if (change.kind !== 'cards' || !change.before || !change.after) return false;
+    return stableKey(withoutSoftFields(JSON.parse(change.before))) === stableKey(withoutSoftFields(JSON.parse(change.after)));
+  }
+
+  // Which fields a change touched; x and y count as one so that nudging
+  // right then down is still the same kind of edit
+  function changedFields(change) {
+    const before = JSON.parse(change.before);
+    const after = JSON.parse(change.after);
+    const fields = new Set();
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(f => {
+      if (SOFT_CARD_FIELDS.includes(f) || stableKey(before[f]) === stableKey(after[f])) return;
+      fields.add(f === 'x' || f === 'y' ? 'position' : f);
+    });
+    return [...fields].sort().join(',');
+  }
+
+  // Steps that only edit existing records join when they edit the same fields
+  // of the same records; creating or deleting anything never does
+  function stepSignature(step) {
+    if (step.changes.some(c => !c.before || !c.after)) return null;
+    return step.changes.map(c => `${c.kind}:${c.id}:${changedFields(c)}`).sort().join('|');
+  }
+
+  function mergeIntoLastStep(step) {
+    const history = state.history;
+    const last = history.past[history.past.length - 1];
+    if (!last || !last.mergeable || !step.mergeable || history.future.length) return false;
+    if (step.startedAt - last.endedAt > HISTORY_MERGE_MS) return false;
+    const signature = stepSignature(step);
+    if (!signature || signature !== stepSignature(last)) return false;
+    step.changes.forEach(change => {
+      last.changes.find(c => c.kind === change.kind && c.id === change.id).after = change.after;
+    });
+    last.changes = last.changes.filter(c => c.before !== c.after);
+    last.endedAt = step.endedAt;
+    // Typed and then erased: nothing left to undo
+    if (!last.changes.length) history.past.pop();
+    return true;
+  }
+
+  const historyStepSize = (step) => step.changes.reduce((sum, c) => sum + (c.before || '').length + (c.after || '').length, 0);
+
+  function trimHistory() {
+    const history = state.history;
+    let size = history.past.concat(history.future).reduce((sum, step) => sum + historyStepSize(step), 0);
+    while (history.past.length && (history.past.length + history.future.length > HISTORY_LIMIT || size > HISTORY_MAX_CHARS)) {
+      size -= historyStepSize(history.past.shift());
+    }
+  }
+
+  function undo() {
+    commitHistory();
+    const step = state.history.past.pop();
+    if (!step) return;
+    applyHistoryStep(step, 'before');
+    state.history.future.push(step);
+    afterHistoryMove(step);
+  }
+
+  function redo() {
+    // New edits since the last undo have already dropped what could be redone
+    commitHistory();
+    const step = state.history.future.pop();
+    if (!step) return;
+    applyHistoryStep(step, 'after');
+    state.history.past.push(step);
+    afterHistoryMove(step);
+  }
+
+  function applyHistoryStep(step, side) {
+    const base = state.history.base;
+    step.mergeable = false;
+    step.changes.forEach(change => {
+      const { kind, id } = change;
+      const json = change[side];
+      if (kind === 'cards') forgetSketchUndo([id]);
+      markDirty(kind, id);
+      if (!json) {
+        delete state[kind][id];
+        base[kind].delete(id);
+        return;
+      }
+      const record = historyRecord(json);
+      const existing = state[kind][id];
+      if (kind === 'boards' && existing) {
+        VIEW_FIELDS.forEach(f => { if (f in existing) record[f] = existing[f]; });
+      }
+      state[kind][id] = record;
+      base[kind].set(id, json);
+    });
+  }
+
+  // Shows the board the step changed
+  function afterHistoryMove(step) {
+    state.selectedCardIds.clear();
+    const boardId = state.boards[step.boardId] ? step.boardId
+      : state.boards[state.currentBoardId] ? state.currentBoardId
+      : (Object.values(state.boards).find(b => !b.parentId) || {}).id;
+    if (boardId && boardId !== state.currentBoardId) {
+      navigateToBoard(boardId);
+    } else {
+      renderCurrentBoard();
+      autoSave();
+    }
+    updateHistoryButtons();
+    saveHistorySoon();
+  }
+
+  // Changes that came from elsewhere (another tab, another person) are not
+  // this tab's to undo: whatever was pending here is closed first, and the
+  // incoming data becomes the new starting point
+  function applyExternalChange(apply) {
+    commitHistory();
+    applyingExternalChange = true;
+    try {
+      apply();
+    } finally {
+      applyingExternalChange = false;
+    }
+    if (state.history.base) collectHistoryChanges();
+  }
+
+  function updateHistoryButtons() {
+    dom.undoBtn.disabled = state.history.past.length === 0;
+    dom.redoBtn.disabled = state.history.future.length === 0;
+  }
+
+  // --- Kept across reloads ---
+  async function saveHistory() {
+    if (storageLocked || !state.history.base) return;
+    const history = state.history;
+    const images = {};
+    const referenced = JSON.stringify([history.past, history.future]).match(HISTORY_IMAGE_PATTERN) || [];
+    referenced.forEach(token => { if (history.images.has(token)) images[token] = history.images.get(token); });
+    // Images neither a step nor the open boards use anymore
+    const inUse = new Set(referenced);
+    Object.values(state.cards).forEach(card => IMAGE_FIELDS.forEach(field => {
+      if (isInlineImage(card[field])) inUse.add(historyImageTokens.get(card[field]));
+    }));
+    history.images.forEach((dataUrl, token) => {
+      if (inUse.has(token)) return;
+      history.images.delete(token);
+      historyImageTokens.delete(dataUrl);
+    });
+    try {
+      await writeBrowserMeta('history', HISTORY_KEY, { version: SCHEMA_VERSION, past: history.past, future: history.future, images });
+    } catch (e) {
+      // Undo still works for this session
+      console.error('Erro ao salvar o histórico:', e);
+    }
+  }
+
+  const saveHistorySoon = debounce(saveHistory, 2000);
+
+  // Starts recording against the loaded data and brings back the steps of
+  // the last session when they still fit it
+  async function startHistory() {
+    const history = state.history;
+    history.past = [];
+    history.future = [];
+    history.explicit = false;
+    history.base = historySnapshot();
+    takeChanges(historyChanges);
+    window.addEventListener('pagehide', () => {
+      commitHistory();
+      saveHistory();
+    });
+    let stored = null;
+    try {
+      stored = await readBrowserMeta('history', HISTORY_KEY);
+    } catch (e) {
+      console.error('Histórico ilegível:', e);
+    }
+    if (!stored || stored.version !== SCHEMA_VERSION || !Array.isArray(stored.past) || !Array.isArray(stored.future)) return;
+    if (!storedHistoryFits(stored)) return;
+    Object.entries(stored.images || {}).forEach(([token, dataUrl]) => {
+      history.images.set(token, dataUrl);
+      historyImageTokens.set(dataUrl, token);
+    });
+    stored.past.concat(stored.future).forEach(step => { step.mergeable = false; });
+    // Anything done since startup (none normally) goes on top
+    history.past = stored.past.concat(history.past);
+    history.future = history.past.length > stored.past.length ? [] : stored.future;
+    updateHistoryButtons();
+  }
+
+  // The data must still be where the last step left it, or the steps would
+  // undo changes made elsewhere in the meantime
+  function storedHistoryFits(stored) {
+    const last = stored.past[stored.past.length - 1];
+    const next = stored.future[stored.future.length - 1];
+    const edge = last ? last.changes.map(c => [c.kind, c.id, c.after])
+      : next ? next.changes.map(c => [c.kind, c.id, c.before]) : [];
+    return edge.every(([kind, id, json]) => (state.history.base[kind].get(id) || null) === json);
+  }
+
+  // ============= CHECKPOINTS (version history) =============
+  // A checkpoint is a copy of one board and its cards, kept wherever the
+  // boards are saved: on the server (see server.js) or in this browser's meta
+  // store, sealed with the rest under a passphrase. Named ones are made by
+  // hand; automatic ones are taken on a timer for boards that changed since
+  // their newest checkpoint, and only the last CHECKPOINT_AUTO_LIMIT stay.
+  // Without IndexedDB they share localStorage's few megabytes with the
+  // boards, so each board's automatic ones are also trimmed to a size budget.
+  const CHECKPOINT_KEY = 'quadro-planejamento-checkpoints';
+  const CHECKPOINT_AUTO_LIMIT = 30;
+  const CHECKPOINT_LOCAL_BUDGET = 512 * 1024;
+  const CHECKPOINT_FIRST_MS = 60 * 1000;
+  const CHECKPOINT_INTERVAL_MS = 30 * 60 * 1000;
+  // Hash of each board's newest checkpoint, once looked up
+  const checkpointHashes = new Map();
+
+  function checkpointPayload(boardId) {
+    return JSON.parse(JSON.stringify(boardPayloadOf(buildPayload(), boardId)));
+  }
+
+  // Panning and zooming alone don't make a new version
+  function checkpointHash(payload) {
+    const [board] = Object.values(payload.boards);
+    return hashString(JSON.stringify({ ...payload, boards: { [board.id]: sharedBoard(board) } }));
+  }
+
+  function formatCheckpointDate(time) {
+    return new Date(time).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
+  }
+
+  async function browserCheckpoints(boardId) {
+    return (await readBrowserMeta('checkpoints:' + boardId, CHECKPOINT_KEY + ':' + boardId)) || [];
+  }
+
+  function writeBrowserCheckpoints(boardId, checkpoints) {
+    return writeBrowserMeta('checkpoints:' + boardId, CHECKPOINT_KEY + ':' + boardId, checkpoints);
+  }
+
+  // Drops the oldest automatic checkpoints, never the newest one or a named
+  // one, until the list fits the budget
+  function trimCheckpointsToBudget(checkpoints) {
+    const sizes = checkpoints.map(c => JSON.stringify(c).length);
+    let total = sizes.reduce((sum, size) => sum + size, 0);
+    const dropped = new Set();
+    for (let i = checkpoints.length - 1; i > 0 && total > CHECKPOINT_LOCAL_BUDGET; i--) {
+      if (!checkpoints[i].auto) continue;
+      dropped.add(i);
+      total -= sizes[i];
+    }
+    return checkpoints.filter((c, i) => !dropped.has(i));
+  }
+
+  // Lists are newest first and leave the payload out
+  const checkpointStore = {
+    url(boardId, checkpointId) {
+      const base = `/api/boards/${encodeURIComponent(boardId)}/checkpoints`;
+      return checkpointId ? `${base}/${encodeURIComponent(checkpointId)}` : base;
+    },
+
+    async list(boardId) {
+      if (storage === serverBackend) return (await apiRequest('GET', this.url(boardId))).checkpoints;
+      return (await browserCheckpoints(boardId)).map(({ payload, ...summary }) => summary);
+    },
+
+    async get(boardId, checkpointId) {
+      if (storage === serverBackend) return apiRequest('GET', this.url(boardId, checkpointId));
+      return (await browserCheckpoints(boardId)).find(c => c.id === checkpointId) || null;
+    },
+
+    // An automatic checkpoint identical to the newest one is not stored again
+    async add(boardId, { name, auto, payload }) {
+      const hash = checkpointHash(payload);
+      if (storage === serverBackend) return apiRequest('POST', this.url(boardId), { name, auto, hash, payload });
+      const checkpoints = await browserCheckpoints(boardId);
+      if (auto && checkpoints[0] && checkpoints[0].hash === hash) return checkpoints[0];
+      const checkpoint = {
+        id: uid(), boardId, name: auto ? null : name, auto, createdAt: Date.now(),
+        hash, cardCount: Object.keys(payload.cards).length, payload
+      };
+      let autos = 0;
+      let kept = [checkpoint, ...checkpoints].filter(c => !c.auto || ++autos <= CHECKPOINT_AUTO_LIMIT);
+      if (!(await browserDatabase())) kept = trimCheckpointsToBudget(kept);
+      await writeBrowserCheckpoints(boardId, kept);
+      return checkpoint;
+    },
+
+    async remove(boardId, checkpointId) {
+      if (storage === serverBackend) {
+        await apiRequest('DELETE', this.url(boardId, checkpointId));
+        return;
+      }
+      const checkpoints = await browserCheckpoints(boardId);
+      await writeBrowserCheckpoints(boardId, checkpoints.filter(c => c.id !== checkpointId));
+    },
+
+    // Boards that have checkpoints in this browser, deleted ones included
+    async browserBoardIds() {
+      const db = await browserDatabase();
+      const names = db
+        ? await idbRequest(db.transaction('meta', 'readonly').objectStore('meta').getAllKeys())
+        : Object.keys(localStorage).map(key => key.replace(CHECKPOINT_KEY + ':', 'checkpoints:'));
+      return names.filter(name => typeof name === 'string' && name.startsWith('checkpoints:')).map(name => name.slice(12));
+    }
+  };
+
+  async function takeAutoCheckpoints() {
+    if (storageLocked || isPreviewing()) return;
+    try {
+      for (const boardId of Object.keys(state.boards)) {
+        const payload = checkpointPayload(boardId);
+        const hash = checkpointHash(payload);
+        if (!checkpointHashes.has(boardId)) {
+          const [newest] = await checkpointStore.list(boardId);
+          checkpointHashes.set(boardId, newest ? newest.hash : null);
+        }
+        if (checkpointHashes.get(boardId) === hash) continue;
+        await checkpointStore.add(boardId, { name: null, auto: true, payload });
+        checkpointHashes.set(boardId, hash);
+      }
+    } catch (e) {
+      console.error('Erro ao salvar versão automática:', e);
+    }
+  }
+
+  function startCheckpoints() {
+    setTimeout(takeAutoCheckpoints, CHECKPOINT_FIRST_MS);
+    setInterval(takeAutoCheckpoints, CHECKPOINT_INTERVAL_MS);
+  }
+
+  async function saveCheckpoint(boardId, name) {
+    try {
+      const checkpoint = await checkpointStore.add(boardId, { name, auto: false, payload: checkpointPayload(boardId) });
+      checkpointHashes.set(boardId, checkpoint.hash);
+      showToast(`📌 Versão "${name}" salva`);
+    } catch (e) {
+      console.error('Erro ao salvar versão:', e);
+      showToast(e.name === 'QuotaExceededError'
+        ? '⚠️ Armazenamento cheio! Exclua versões antigas ou exporte os dados.'
+        : '❌ Não foi possível salvar a versão.');
+    }
+  }
+
+  async function showCheckpointPanel() {
+    const board = checkpointPreview.board || getCurrentBoard();
+    let checkpoints;
+    try {
+      checkpoints = await checkpointStore.list(board.id);
+    } catch (e) {
+      console.error('Erro ao listar versões:', e);
+      showToast('❌ Não foi possível carregar as versões.');
+      return;
+    }
+    const rows = checkpoints.map(checkpoint => `
+        <li data-checkpoint="${escapeHtml(checkpoint.id)}">
+          <span class="trash-icon">${checkpoint.auto ? '🕒' : '📌'}</span>
+          <span class="trash-info"><strong>${escapeHtml(checkpoint.name || 'Versão automática')}</strong><br>${formatCheckpointDate(checkpoint.createdAt)} · ${checkpoint.cardCount} cartão(ões)</span>
+          <button class="btn-secondary" data-checkpoint-action="preview" title="Ver esta versão no quadro, sem alterar nada">Ver</button>
+          <button class="btn-secondary" data-checkpoint-action="copy" title="Criar um novo quadro com esta versão">Cópia</button>
+          <button class="btn-secondary" data-checkpoint-action="restore" title="Voltar este quadro para esta versão">Restaurar</button>
+          <button class="btn-secondary danger" data-checkpoint-action="delete" title="Excluir versão">×</button>
+        </li>`).join('');
+    showModal('Histórico de versões', `
+      <p class="storage-note">Versões de "${escapeHtml(board.name || 'Quadro')}". Uma versão automática é salva a cada ${CHECKPOINT_INTERVAL_MS / 60000} minutos quando o quadro muda; sub-quadros têm versões próprias.</p>
+      <input type="text" id="checkpoint-name" maxlength="100" placeholder="Nome da nova versão (Enter para salvar)">
+      ${checkpoints.length ? `<ul class="trash-list">${rows}</ul>` : '<p class="storage-note">Nenhuma versão salva ainda.</p>'}
+    `, () => {
+      const name = dom.modalBody.querySelector('#checkpoint-name').value.trim();
+      if (name) saveCheckpoint(board.id, name);
+    });
+
+    dom.modalBody.querySelectorAll('[data-checkpoint-action]').forEach(btn => btn.addEventListener('click', async () => {
+      const action = btn.dataset.checkpointAction;
+      const checkpointId = btn.closest('[data-checkpoint]').dataset.checkpoint;
+      if (action === 'delete') {
+        try {
+          await checkpointStore.remove(board.id, checkpointId);
+          checkpointHashes.delete(board.id);
+        } catch (e) {
+          console.error('Erro ao excluir versão:', e);
+          showToast('❌ Não foi possível excluir a versão.');
+        }
+        showCheckpointPanel();
+        return;
+      }
+      hideModal();
+      let checkpoint = null;
+      try {
+        checkpoint = await checkpointStore.get(board.id, checkpointId);
+      } catch (e) {
+        console.error('Erro ao abrir versão:', e);
+      }
+      if (!checkpoint) {
+        showToast('❌ Não foi possível abrir a versão.');
+        return;
+      }
+      if (action === 'preview') await previewCheckpoint(checkpoint);
+      else restoreCheckpoint(checkpoint, action === 'copy');
+    }));
   }
 
-  // ============= HISTORY (Undo/Redo) =============
-  function pushHistory() {
-    const snapshot = JSON.stringify({ boards: state.boards, cards: state.cards, currentBoardId: state.currentBoardId });
-    state.history.past.push(snapshot);
-    if (state.history.past.length > 50) state.history.past.shift();
-    state.history.future = [];
-    updateHistoryButtons();
+  // --- Preview ---
+  // The checkpoint's board and cards stand in for the live ones until the
+  // preview closes. Meanwhile nothing is saved, recorded for undo or
+  // published, and changes from other tabs or collaborators wait.
+  const checkpointPreview = { checkpoint: null, board: null, cards: null, pendingOps: [], pendingPull: false };
+
+  function isPreviewing() {
+    return !!checkpointPreview.checkpoint;
   }
 
-  function undo() {
-    if (state.history.past.length === 0) return;
-    const current = JSON.stringify({ boards: state.boards, cards: state.cards, currentBoardId: state.currentBoardId });
-    state.history.future.push(current);
-    const prev = JSON.parse(state.history.past.pop());
-    state.boards = prev.boards;
-    state.cards = prev.cards;
-    state.currentBoardId = prev.currentBoardId;
+  async function previewCheckpoint(checkpoint) {
+    closeCheckpointPreview();
+    const boardId = checkpoint.boardId;
+    if (!state.boards[boardId]) return;
+    if (state.currentBoardId !== boardId) navigateToBoard(boardId);
+    commitHistory();
+    publishLiveChanges();
+    // The queued save writes the live state objects when its turn comes, so
+    // it has to land before they are swapped for the checkpoint's
+    await saveToStorage();
+    // Another preview may have opened, or the board gone, meanwhile
+    closeCheckpointPreview();
+    if (!state.boards[boardId]) return;
+    const data = JSON.parse(JSON.stringify(checkpoint.payload));
+    checkpointPreview.checkpoint = checkpoint;
+    checkpointPreview.board = state.boards[boardId];
+    checkpointPreview.cards = Object.values(state.cards).filter(c => c.boardId === boardId);
+    checkpointPreview.cards.forEach(c => { delete state.cards[c.id]; });
+    Object.assign(state.cards, data.cards);
+    state.boards[boardId] = { ...data.boards[boardId], id: boardId, parentId: checkpointPreview.board.parentId };
     state.selectedCardIds.clear();
+    state.ui.editingCardId = null;
+    dom.checkpointBar.querySelector('.checkpoint-bar-label').textContent =
+      `Visualizando "${checkpoint.name || 'Versão automática'}" de ${formatCheckpointDate(checkpoint.createdAt)} (somente leitura)`;
+    dom.checkpointBar.classList.remove('hidden');
+    dom.app.classList.add('previewing');
     renderCurrentBoard();
-    autoSave();
-    updateHistoryButtons();
   }
 
-  function redo() {
-    if (state.history.future.length === 0) return;
-    const current = JSON.stringify({ boards: state.boards, cards: state.cards, currentBoardId: state.currentBoardId });
-    state.history.past.push(current);
-    const next = JSON.parse(state.history.future.pop());
-    state.boards = next.boards;
-    state.cards = next.cards;
-    state.currentBoardId = next.currentBoardId;
+  function closeCheckpointPreview() {
+    const { checkpoint, board, cards } = checkpointPreview;
+    if (!checkpoint) return;
+    Object.values(state.cards).forEach(c => { if (c.boardId === checkpoint.boardId) delete state.cards[c.id]; });
+    cards.forEach(c => { state.cards[c.id] = c; });
+    state.boards[checkpoint.boardId] = board;
+    checkpointPreview.checkpoint = checkpointPreview.board = checkpointPreview.cards = null;
     state.selectedCardIds.clear();
+    dom.checkpointBar.classList.add('hidden');
+    dom.app.classList.remove('previewing');
     renderCurrentBoard();
-    autoSave();
-    updateHistoryButtons();
+    checkpointPreview.pendingOps.splice(0).forEach(applyRemoteOps);
+    if (checkpointPreview.pendingPull) {
+      checkpointPreview.pendingPull = false;
+      queueTabPull();
+    }
   }
 
-  function updateHistoryButtons() {
-    dom.undoBtn.disabled = state.history.past.length === 0;
-    dom.redoBtn.disabled = state.history.future.length === 0;
+  // --- Restore ---
+  // Drops the matching cards from a checkpoint payload along with the
+  // places that refer to them; returns how many went
+  function dropCheckpointCards(data, boardId, test) {
+    const dropped = Object.values(data.cards).filter(test);
+    if (!dropped.length) return 0;
+    dropped.forEach(c => { delete data.cards[c.id]; });
+    const board = data.boards[boardId];
+    board.cardIds = board.cardIds.filter(id => data.cards[id]);
+    board.connections = board.connections.filter(c => data.cards[c.fromCardId] && data.cards[c.toCardId]);
+    Object.values(data.cards).forEach(c => {
+      if (c.childCardIds) c.childCardIds = c.childCardIds.filter(id => data.cards[id]);
+    });
+    return dropped.length;
+  }
+
+  function restoreCheckpoint(checkpoint, asCopy) {
+    closeCheckpointPreview();
+    if (asCopy) restoreCheckpointAsCopy(checkpoint);
+    else restoreCheckpointInPlace(checkpoint);
+  }
+
+  // Undoable like any edit. Sub-board cards made since the checkpoint stay;
+  // those whose sub-board is gone can't come back
+  function restoreCheckpointInPlace(checkpoint) {
+    const boardId = checkpoint.boardId;
+    const board = state.boards[boardId];
+    if (!board) {
+      showToast('⚠️ Este quadro não existe mais. Restaure a versão como cópia.');
+      return;
+    }
+    const data = JSON.parse(JSON.stringify(checkpoint.payload));
+    const missing = dropCheckpointCards(data, boardId, c => c.type === 'board' && !state.boards[c.linkedBoardId]);
+    const linked = new Set(Object.values(data.cards).map(c => c.linkedBoardId).filter(Boolean));
+    const kept = Object.values(state.cards).filter(c =>
+      c.boardId === boardId && c.type === 'board' && !c._inColumn && !linked.has(c.linkedBoardId));
+
+    pushHistory();
+    Object.values(state.cards).forEach(c => {
+      if (c.boardId === boardId && !kept.includes(c)) {
+        delete state.cards[c.id];
+        markDirty('cards', c.id);
+      }
+    });
+    forgetSketchUndo(Object.keys(data.cards));
+    Object.assign(state.cards, data.cards);
+    markRecordsDirty(data);
+    const saved = data.boards[boardId];
+    const view = {};
+    VIEW_FIELDS.forEach(f => { if (f in board) view[f] = board[f]; });
+    replaceContents(board, {
+      ...saved, ...view, id: boardId, parentId: board.parentId,
+      cardIds: [...saved.cardIds, ...kept.map(c => c.id)], updatedAt: Date.now()
+    });
+    state.selectedCardIds.clear();
+    if (state.currentBoardId === boardId) {
+      renderCurrentBoard();
+      autoSave();
+    } else {
+      navigateToBoard(boardId);
+    }
+    showToast(missing
+      ? `⏪ Versão restaurada; ${missing} sub-quadro(s) excluído(s) desde então ficaram de fora.`
+      : '⏪ Versão restaurada. Ctrl+Z desfaz.', 5000);
+  }
+
+  // A new board next to the original (inside it for a top-level board)
+  function restoreCheckpointAsCopy(checkpoint) {
+    const data = JSON.parse(JSON.stringify(checkpoint.payload));
+    // Sub-boards stay with the original; two cards opening one board would
+    // make deleting either remove it for both
+    dropCheckpointCards(data, checkpoint.boardId, c => c.type === 'board');
+    const source = data.boards[checkpoint.boardId];
+    source.parentId = null;
+    source.name = `${source.name || 'Quadro'} (${formatCheckpointDate(checkpoint.createdAt)})`;
+    const original = state.boards[checkpoint.boardId];
+    const parentId = !original ? state.currentBoardId
+      : state.boards[original.parentId] ? original.parentId : original.id;
+
+    pushHistory();
+    const imported = remapImportIds(data);
+    const [copy] = Object.values(imported.boards);
+    copy.parentId = parentId;
+    copy.createdAt = copy.updatedAt = Date.now();
+    Object.assign(state.boards, imported.boards);
+    Object.assign(state.cards, imported.cards);
+    markRecordsDirty(imported);
+    const id = uid();
+    state.cards[id] = {
+      id, type: 'board', boardId: parentId, x: boardContentRight(parentId) + 80, y: 40, color: '#ffffff',
+      zIndex: ++state.ui.maxZIndex, createdAt: Date.now(), updatedAt: Date.now(),
+      width: 200, height: 160, linkedBoardId: copy.id, name: copy.name
+    };
+    state.boards[parentId].cardIds.push(id);
+    markDirty('cards', id);
+    markDirty('boards', parentId);
+    navigateToBoard(copy.id);
+    showToast(`📋 Cópia criada: "${copy.name}"`);
   }
 
   // ============= TOAST =============
@@ -224,6 +4749,7 @@
       createdAt: Date.now(),
       updatedAt: Date.now()
     };
+    markDirty('boards', id);
     state.currentBoardId = id;
     return id;
   }
@@ -242,6 +4768,7 @@
       createdAt: Date.now(),
       updatedAt: Date.now()
     };
+    markDirty('boards', id);
     return id;
   }
 
@@ -251,12 +4778,16 @@
 
   function navigateToBoard(boardId) {
     if (!state.boards[boardId]) return;
+    closeCheckpointPreview();
+    // Flush pending live changes before the open board changes
+    publishLiveChanges();
     // Save current board view state
     const current = getCurrentBoard();
     if (current) {
       current.panX = state.canvas.panX;
       current.panY = state.canvas.panY;
       current.zoom = state.canvas.zoom;
+      markDirty('boards', current.id);
     }
     state.currentBoardId = boardId;
     state.selectedCardIds.clear();
@@ -272,7 +4803,7 @@
   function getBoardPath(boardId) {
     const path = [];
     let id = boardId;
-    while (id && state.boards[id]) {
+    while (id && state.boards[id] && !path.includes(state.boards[id])) {
       path.unshift(state.boards[id]);
       id = state.boards[id].parentId;
     }
@@ -290,7 +4821,15 @@
       image: { width: 280, imageData: '' },
       link: { width: 260, url: '', title: '', description: '' },
       column: { width: 280, title: '', height: 400, childCardIds: [] },
-      board: { width: 200, height: 160, linkedBoardId: null, name: '' }
+      board: { width: 200, height: 160, linkedBoardId: null, name: '' },
+      table: {
+        width: tableCardWidth([TABLE_COL_WIDTH, TABLE_COL_WIDTH, TABLE_COL_WIDTH]),
+        cells: tableCells([['', '', ''], ['', '', ''], ['', '', '']]),
+        headerRow: true,
+        colWidths: [TABLE_COL_WIDTH, TABLE_COL_WIDTH, TABLE_COL_WIDTH]
+      },
+      shape: { width: 160, height: 100, shape: 'rect', color: 'transparent', stroke: '#888888', strokeWidth: 2, dash: 'solid', text: '' },
+      sketch: { width: 320, height: 240, strokes: [] }
     };
 
     const card = {
@@ -314,6 +4853,8 @@
 
     state.cards[id] = card;
     board.cardIds.push(id);
+    markDirty('cards', id);
+    markDirty('boards', board.id);
     renderCard(card);
     autoSave();
     return card;
@@ -323,12 +4864,15 @@
     const card = state.cards[cardId];
     if (!card) return;
     pushHistory();
+    moveToTrash(card);
+    markDirty('cards', cardId);
 
     // Remove from board
     const board = state.boards[card.boardId];
     if (board) {
       board.cardIds = board.cardIds.filter(id => id !== cardId);
       board.connections = board.connections.filter(c => c.fromCardId !== cardId && c.toCardId !== cardId);
+      markDirty('boards', board.id);
     }
 
     // Delete linked sub-board if board card
@@ -340,6 +4884,7 @@
     if (card.type === 'column' && card.childCardIds) {
       card.childCardIds.forEach(childId => {
         delete state.cards[childId];
+        markDirty('cards', childId);
       });
     }
 
@@ -348,6 +4893,7 @@
       const col = state.cards[card._inColumn];
       if (col && col.childCardIds) {
         col.childCardIds = col.childCardIds.filter(id => id !== cardId);
+        markDirty('cards', col.id);
         renderCard(col);
       }
     }
@@ -373,9 +4919,17 @@
       if (c && c.type === 'board' && c.linkedBoardId) {
         deleteSubBoardRecursive(c.linkedBoardId);
       }
+      if (c && c.type === 'column') {
+        (c.childCardIds || []).forEach(childId => {
+          delete state.cards[childId];
+          markDirty('cards', childId);
+        });
+      }
       delete state.cards[cid];
+      markDirty('cards', cid);
     });
     delete state.boards[boardId];
+    markDirty('boards', boardId);
   }
 
   function duplicateCard(cardId) {
@@ -397,6 +4951,7 @@
     const card = state.cards[cardId];
     if (!card) return;
     Object.assign(card, updates, { updatedAt: Date.now() });
+    markDirty('cards', cardId);
     autoSave();
   }
 
@@ -404,6 +4959,7 @@
     const card = state.cards[cardId];
     if (!card) return;
     card.zIndex = ++state.ui.maxZIndex;
+    markDirty('cards', cardId);
     const el = document.getElementById(cardId);
     if (el) el.style.zIndex = card.zIndex;
   }
@@ -412,6 +4968,7 @@
     const card = state.cards[cardId];
     if (!card) return;
     card.zIndex = 1;
+    markDirty('cards', cardId);
     const el = document.getElementById(cardId);
     if (el) el.style.zIndex = 1;
   }
@@ -528,10 +5085,10 @@
     el.style.left = card.x + 'px';
     el.style.top = card.y + 'px';
     el.style.width = card.width + 'px';
-    if (card.height && card.type !== 'note' && card.type !== 'todo' && card.type !== 'image') {
+    if (card.height && card.type !== 'note' && card.type !== 'todo' && card.type !== 'image' && card.type !== 'table') {
       el.style.height = card.height + 'px';
     }
-    if (card.type === 'image') {
+    if (card.type === 'image' || card.type === 'shape') {
       el.style.background = 'transparent';
     } else {
       el.style.background = card.color;
@@ -554,11 +5111,16 @@
     });
     el.appendChild(deleteBtn);
 
-    // Connection points
-    ['top', 'bottom', 'left', 'right'].forEach(pos => {
+    // Connection points; lines connect at their two ends
+    (isLineShape(card) ? ['start', 'end'] : ['top', 'bottom', 'left', 'right']).forEach(pos => {
       const point = document.createElement('div');
       point.className = `connection-point ${pos}`;
       point.dataset.pos = pos;
+      const anchor = lineAnchor(card, pos);
+      if (anchor) {
+        point.style.left = anchor.x + 'px';
+        point.style.top = anchor.y + 'px';
+      }
       point.addEventListener('mousedown', (e) => {
         e.stopPropagation();
         e.preventDefault();
@@ -572,8 +5134,8 @@
       el.appendChild(point);
     });
 
-    // Resize handle (except boards)
-    if (card.type !== 'board') {
+    // Resize handle (except boards, and lines which have their end handles)
+    if (card.type !== 'board' && !isLineShape(card)) {
       const resize = document.createElement('div');
       resize.className = 'resize-handle';
       resize.addEventListener('mousedown', (e) => {
@@ -591,6 +5153,9 @@
       case 'link': renderLinkContent(el, card); break;
       case 'column': renderColumnContent(el, card); break;
       case 'board': renderBoardContent(el, card); break;
+      case 'table': renderTableContent(el, card); break;
+      case 'shape': renderShapeContent(el, card); break;
+      case 'sketch': renderSketchContent(el, card); break;
     }
 
     dom.canvas.appendChild(el);
@@ -674,71 +5239,802 @@
     el.appendChild(addBtn);
   }
 
-  function renderTodoItems(listEl, card) {
-    listEl.innerHTML = '';
-    card.items.forEach((item, idx) => {
-      const itemEl = document.createElement('div');
-      itemEl.className = 'todo-item' + (item.done ? ' done' : '');
+  function renderTodoItems(listEl, card) {
+    listEl.innerHTML = '';
+    card.items.forEach((item, idx) => {
+      const itemEl = document.createElement('div');
+      itemEl.className = 'todo-item' + (item.done ? ' done' : '');
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = item.done;
+      checkbox.addEventListener('change', () => {
+        pushHistory();
+        item.done = checkbox.checked;
+        itemEl.classList.toggle('done', item.done);
+        updateCard(card.id, { items: card.items });
+      });
+
+      const text = document.createElement('input');
+      text.className = 'todo-text';
+      text.type = 'text';
+      text.value = item.text;
+      text.placeholder = 'Nova tarefa...';
+      text.addEventListener('input', () => {
+        item.text = text.value;
+        updateCard(card.id, { items: card.items });
+      });
+      text.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          pushHistory();
+          card.items.splice(idx + 1, 0, { id: uid(), text: '', done: false });
+          updateCard(card.id, { items: card.items });
+          renderTodoItems(listEl, card);
+          const inputs = listEl.querySelectorAll('.todo-text');
+          if (inputs[idx + 1]) inputs[idx + 1].focus();
+        }
+        if (e.key === 'Backspace' && text.value === '' && card.items.length > 1) {
+          e.preventDefault();
+          pushHistory();
+          card.items.splice(idx, 1);
+          updateCard(card.id, { items: card.items });
+          renderTodoItems(listEl, card);
+          const inputs = listEl.querySelectorAll('.todo-text');
+          const focusIdx = Math.max(0, idx - 1);
+          if (inputs[focusIdx]) inputs[focusIdx].focus();
+        }
+      });
+      text.addEventListener('mousedown', (e) => e.stopPropagation());
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'todo-delete';
+      deleteBtn.textContent = '×';
+      deleteBtn.addEventListener('mousedown', (e) => {
+        e.stopPropagation();
+        if (card.items.length <= 1) return;
+        pushHistory();
+        card.items.splice(idx, 1);
+        updateCard(card.id, { items: card.items });
+        renderTodoItems(listEl, card);
+      });
+
+      itemEl.appendChild(checkbox);
+      itemEl.appendChild(text);
+      itemEl.appendChild(deleteBtn);
+      listEl.appendChild(itemEl);
+    });
+  }
+
+  // Table cards keep plain-text cells in card.cells, rows of equal length,
+  // and a width per column in card.colWidths. Edits always build new arrays:
+  // duplicated and pasted cards start out sharing them with the original.
+  const TABLE_COL_WIDTH = 120;
+  const TABLE_MIN_COL_WIDTH = 48;
+  const TABLE_PADDING = 10;
+
+  // Rows padded to the same length, every cell a string
+  function tableCells(rows) {
+    const list = (Array.isArray(rows) ? rows : []).map(row => (Array.isArray(row) ? row : []));
+    const width = Math.max(1, ...list.map(row => row.length));
+    const cells = list.map(row => Array.from({ length: width }, (_, i) => (row[i] == null ? '' : String(row[i]))));
+    return cells.length ? cells : [Array(width).fill('')];
+  }
+
+  function tableColWidths(card) {
+    const width = tableCells(card.cells)[0].length;
+    const widths = Array.isArray(card.colWidths) ? card.colWidths : [];
+    return Array.from({ length: width }, (_, i) => widths[i] || TABLE_COL_WIDTH);
+  }
+
+  const tableCardWidth = (colWidths) => colWidths.reduce((sum, w) => sum + w, 0) + TABLE_PADDING * 2;
+
+  function tableToCsv(cells) {
+    const field = (value) => (/[",;\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+    return cells.map(row => row.map(field).join(',')).join('\r\n');
+  }
+
+  function renderTableContent(el, card) {
+    const wrap = document.createElement('div');
+    wrap.className = 'table-wrap';
+    const table = document.createElement('table');
+    table.className = 'table-grid';
+    wrap.appendChild(table);
+    el.appendChild(wrap);
+    // Last focused cell, where the row and column buttons act
+    const active = { row: 0, col: 0 };
+    renderTableGrid(table, card);
+
+    table.addEventListener('mousedown', (e) => {
+      if (e.target.closest('.table-cell')) e.stopPropagation();
+    });
+    table.addEventListener('focusin', (e) => {
+      if (!e.target.classList.contains('table-cell')) return;
+      active.row = Number(e.target.dataset.row);
+      active.col = Number(e.target.dataset.col);
+    });
+    table.addEventListener('input', (e) => {
+      const cells = tableCells(card.cells);
+      cells[e.target.dataset.row][e.target.dataset.col] = e.target.value;
+      updateCard(card.id, { cells });
+    });
+    table.addEventListener('keydown', (e) => onTableKeyDown(e, card, table, active));
+    table.addEventListener('paste', (e) => pasteIntoTable(e, card, table, active));
+    table.addEventListener('copy', (e) => {
+      // With nothing selected in the cell, Ctrl+C takes the whole table
+      if (e.target.selectionStart !== e.target.selectionEnd) return;
+      e.preventDefault();
+      e.clipboardData.setData('text/plain', tableToCsv(tableCells(card.cells)));
+      showToast('📋 Tabela copiada como CSV');
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'table-actions';
+    [
+      ['add-row', '+ Linha', 'Inserir linha abaixo'],
+      ['add-col', '+ Coluna', 'Inserir coluna à direita'],
+      ['remove-row', '− Linha', 'Excluir linha'],
+      ['remove-col', '− Coluna', 'Excluir coluna'],
+      ['header', 'Cabeçalho', 'Destacar a primeira linha'],
+      ['copy', 'CSV', 'Copiar a tabela como CSV']
+    ].forEach(([action, label, title]) => {
+      const btn = document.createElement('button');
+      btn.dataset.tableAction = action;
+      btn.textContent = label;
+      btn.title = title;
+      if (action === 'header') btn.classList.toggle('active', !!card.headerRow);
+      actions.appendChild(btn);
+    });
+    actions.addEventListener('mousedown', (e) => {
+      e.stopPropagation();
+      // Keeps the focus in the cell
+      e.preventDefault();
+      const btn = e.target.closest('[data-table-action]');
+      if (btn) runTableAction(btn, card, table, active);
+    });
+    el.appendChild(actions);
+  }
+
+  function renderTableGrid(table, card) {
+    table.innerHTML = '';
+    const cells = tableCells(card.cells);
+    const widths = tableColWidths(card);
+    const colgroup = document.createElement('colgroup');
+    widths.forEach(w => {
+      const col = document.createElement('col');
+      col.style.width = w + 'px';
+      colgroup.appendChild(col);
+    });
+    table.appendChild(colgroup);
+    table.style.width = (tableCardWidth(widths) - TABLE_PADDING * 2) + 'px';
+    cells.forEach((row, r) => {
+      const tr = document.createElement('tr');
+      if (r === 0 && card.headerRow) tr.className = 'table-header-row';
+      row.forEach((value, c) => {
+        const td = document.createElement('td');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'table-cell';
+        input.value = value;
+        input.dataset.row = r;
+        input.dataset.col = c;
+        td.appendChild(input);
+        if (r === 0) {
+          const resizer = document.createElement('div');
+          resizer.className = 'table-col-resizer';
+          resizer.addEventListener('mousedown', (e) => startTableColResize(card, table, c, e));
+          td.appendChild(resizer);
+        }
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    });
+  }
+
+  function focusTableCell(table, row, col) {
+    const input = table.querySelector(`.table-cell[data-row="${row}"][data-col="${col}"]`);
+    if (!input) return;
+    input.focus();
+    input.select();
+  }
+
+  // Saves a new grid and redraws it; the card grows to fit wider columns
+  function setTableGrid(card, table, cells, colWidths) {
+    const updates = { cells, colWidths };
+    const width = tableCardWidth(colWidths);
+    if (width > card.width) updates.width = width;
+    updateCard(card.id, updates);
+    const el = document.getElementById(card.id);
+    if (el) el.style.width = card.width + 'px';
+    renderTableGrid(table, card);
+    renderConnections();
+  }
+
+  function runTableAction(btn, card, table, active) {
+    const action = btn.dataset.tableAction;
+    let cells = tableCells(card.cells);
+    let widths = tableColWidths(card);
+    if (action === 'copy') {
+      copyTableCsv(cells);
+      return;
+    }
+    if ((action === 'remove-row' && cells.length <= 1) || (action === 'remove-col' && widths.length <= 1)) return;
+    pushHistory();
+    switch (action) {
+      case 'add-row':
+        cells.splice(active.row + 1, 0, widths.map(() => ''));
+        active.row++;
+        break;
+      case 'add-col':
+        cells.forEach(row => row.splice(active.col + 1, 0, ''));
+        widths.splice(active.col + 1, 0, TABLE_COL_WIDTH);
+        active.col++;
+        break;
+      case 'remove-row':
+        cells.splice(active.row, 1);
+        active.row = Math.min(active.row, cells.length - 1);
+        break;
+      case 'remove-col':
+        cells = cells.map(row => row.filter((_, i) => i !== active.col));
+        widths = widths.filter((_, i) => i !== active.col);
+        active.col = Math.min(active.col, widths.length - 1);
+        break;
+      case 'header':
+        updateCard(card.id, { headerRow: !card.headerRow });
+        btn.classList.toggle('active', card.headerRow);
+        break;
+    }
+    setTableGrid(card, table, cells, widths);
+    focusTableCell(table, active.row, active.col);
+  }
+
+  async function copyTableCsv(cells) {
+    try {
+      await navigator.clipboard.writeText(tableToCsv(cells));
+      showToast('📋 Tabela copiada como CSV');
+    } catch (e) {
+      console.error('Erro ao copiar:', e);
+      showToast('⚠️ Não foi possível copiar a tabela.');
+    }
+  }
+
+  // Tab/Shift+Tab walk the cells in reading order and Enter/Shift+Enter go
+  // down/up; both add a row past the last one. Left/right arrows leave the
+  // cell once the caret is at its edge.
+  function onTableKeyDown(e, card, table, active) {
+    const input = e.target;
+    if (!input.classList.contains('table-cell')) return;
+    const cells = tableCells(card.cells);
+    const cols = cells[0].length;
+    let { row, col } = active;
+    switch (e.key) {
+      case 'Tab':
+        if (e.shiftKey) {
+          if (col > 0) col--;
+          else { row--; col = cols - 1; }
+        } else if (col < cols - 1) {
+          col++;
+        } else {
+          row++;
+          col = 0;
+        }
+        break;
+      case 'Enter': row += e.shiftKey ? -1 : 1; break;
+      case 'ArrowUp': row--; break;
+      case 'ArrowDown': row++; break;
+      case 'ArrowLeft':
+        if (input.selectionStart !== 0 || input.selectionEnd !== 0) return;
+        col--;
+        break;
+      case 'ArrowRight':
+        if (input.selectionStart !== input.value.length) return;
+        col++;
+        break;
+      case 'Escape':
+        input.blur();
+        return;
+      default:
+        return;
+    }
+    e.preventDefault();
+    if (row < 0 || col < 0 || col >= cols) return;
+    if (row >= cells.length) {
+      if (e.key !== 'Tab' && e.key !== 'Enter') return;
+      pushHistory();
+      cells.push(Array(cols).fill(''));
+      setTableGrid(card, table, cells, tableColWidths(card));
+    }
+    focusTableCell(table, row, col);
+  }
+
+  // Several cells at once (tab-separated from a spreadsheet, or CSV lines)
+  // fill the grid from the focused cell, which grows to take them
+  function pasteIntoTable(e, card, table, active) {
+    const text = e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+    if (!/[\t\n]/.test(text.replace(/[\r\n]+$/, ''))) return;
+    const rows = parseCsv(text);
+    if (!rows.length) return;
+    e.preventDefault();
+    pushHistory();
+    const cells = tableCells(card.cells);
+    const widths = tableColWidths(card);
+    const cols = Math.max(widths.length, active.col + Math.max(...rows.map(r => r.length)));
+    while (widths.length < cols) widths.push(TABLE_COL_WIDTH);
+    cells.forEach(row => { while (row.length < cols) row.push(''); });
+    while (cells.length < active.row + rows.length) cells.push(Array(cols).fill(''));
+    rows.forEach((values, i) => values.forEach((value, j) => {
+      cells[active.row + i][active.col + j] = value.replace(/\s*\r?\n\s*/g, ' ');
+    }));
+    setTableGrid(card, table, cells, widths);
+    const last = rows[rows.length - 1];
+    focusTableCell(table, active.row + rows.length - 1, active.col + last.length - 1);
+  }
+
+  function startTableColResize(card, table, col, e) {
+    e.stopPropagation();
+    e.preventDefault();
+    pushHistory();
+    const widths = tableColWidths(card);
+    const startX = e.clientX;
+    const startWidth = widths[col];
+    const colEl = table.querySelectorAll('col')[col];
+    const onMove = (ev) => {
+      widths[col] = Math.max(TABLE_MIN_COL_WIDTH, Math.round(startWidth + (ev.clientX - startX) / state.canvas.zoom));
+      colEl.style.width = widths[col] + 'px';
+      table.style.width = (tableCardWidth(widths) - TABLE_PADDING * 2) + 'px';
+    };
+    const onUp = () => {
+      document.removeEventListener('mousemove', onMove);
+      document.removeEventListener('mouseup', onUp);
+      if (widths[col] !== startWidth) setTableGrid(card, table, tableCells(card.cells), widths);
+    };
+    document.addEventListener('mousemove', onMove);
+    document.addEventListener('mouseup', onUp);
+  }
+
+  // Shape cards draw an outline in an SVG filling the card. Closed shapes
+  // (rect, ellipse, diamond) are sized like any card and may hold a line of
+  // text; the fill is card.color, 'transparent' for none. Lines and arrows
+  // keep their endpoints in card.points, relative to a box that lineBox
+  // wraps tightly around them, and are moved by dragging those ends.
+  const SHAPE_KINDS = { rect: 'Retângulo', ellipse: 'Elipse', diamond: 'Losango', line: 'Linha', arrow: 'Seta' };
+  const SHAPE_DASHES = { solid: 'Contínuo', dashed: 'Tracejado', dotted: 'Pontilhado' };
+  const SHAPE_STROKE_WIDTHS = [1, 2, 4, 6];
+  const SHAPE_LINE_PAD = 12;
+  const SHAPE_MIN_SIZE = 24;
+
+  const isLineShape = (card) => !!card && card.type === 'shape' && (card.shape === 'line' || card.shape === 'arrow');
+
+  // Box and relative endpoints for a line between two canvas points
+  function lineBox(x1, y1, x2, y2) {
+    const x = Math.min(x1, x2) - SHAPE_LINE_PAD;
+    const y = Math.min(y1, y2) - SHAPE_LINE_PAD;
+    return {
+      x, y,
+      width: Math.abs(x2 - x1) + SHAPE_LINE_PAD * 2,
+      height: Math.abs(y2 - y1) + SHAPE_LINE_PAD * 2,
+      points: { x1: x1 - x, y1: y1 - y, x2: x2 - x, y2: y2 - y }
+    };
+  }
+
+  function linePoints(card) {
+    const p = card.points || {};
+    const w = card.width || 200;
+    const h = card.height || SHAPE_LINE_PAD * 2;
+    return {
+      x1: Number(p.x1) || 0, y1: p.y1 == null ? h / 2 : Number(p.y1) || 0,
+      x2: p.x2 == null ? w : Number(p.x2) || 0, y2: p.y2 == null ? h / 2 : Number(p.y2) || 0
+    };
+  }
+
+  // A line's 'start' or 'end', relative to the card
+  function lineAnchor(card, pos) {
+    if (!isLineShape(card) || (pos !== 'start' && pos !== 'end')) return null;
+    const p = linePoints(card);
+    return pos === 'start' ? { x: p.x1, y: p.y1 } : { x: p.x2, y: p.y2 };
+  }
+
+  function shapeDashArray(card) {
+    const w = card.strokeWidth || 2;
+    if (card.dash === 'dashed') return `${w * 4} ${w * 3}`;
+    if (card.dash === 'dotted') return `${w} ${w * 2}`;
+    return 'none';
+  }
+
+  // Draws the outline of a shape card into an SVG element, with its box at x, y
+  function drawShape(parent, card, x, y, w, h) {
+    const stroke = card.stroke || '#888888';
+    const strokeWidth = card.strokeWidth || 2;
+    const attrs = {
+      stroke, 'stroke-width': strokeWidth, 'stroke-dasharray': shapeDashArray(card),
+      fill: card.color && card.color !== 'transparent' ? card.color : 'none'
+    };
+    const inset = strokeWidth / 2;
+    switch (card.shape) {
+      case 'ellipse':
+        svgEl(parent, 'ellipse', { ...attrs, cx: x + w / 2, cy: y + h / 2, rx: Math.max(0, w / 2 - inset), ry: Math.max(0, h / 2 - inset) });
+        break;
+      case 'diamond':
+        svgEl(parent, 'polygon', {
+          ...attrs,
+          points: `${x + w / 2},${y + inset} ${x + w - inset},${y + h / 2} ${x + w / 2},${y + h - inset} ${x + inset},${y + h / 2}`
+        });
+        break;
+      case 'line':
+      case 'arrow': {
+        const p = linePoints(card);
+        const x1 = x + p.x1, y1 = y + p.y1, x2 = x + p.x2, y2 = y + p.y2;
+        const length = Math.hypot(x2 - x1, y2 - y1);
+        if (card.shape === 'arrow' && length > 0) {
+          const head = Math.min(length, 8 + strokeWidth * 3);
+          const ux = (x2 - x1) / length;
+          const uy = (y2 - y1) / length;
+          const bx = x2 - ux * head;
+          const by = y2 - uy * head;
+          svgEl(parent, 'line', { ...attrs, x1, y1, x2: bx, y2: by, 'stroke-linecap': 'round', fill: 'none' });
+          svgEl(parent, 'polygon', {
+            fill: stroke,
+            points: `${x2},${y2} ${bx - uy * head * 0.5},${by + ux * head * 0.5} ${bx + uy * head * 0.5},${by - ux * head * 0.5}`
+          });
+        } else {
+          svgEl(parent, 'line', { ...attrs, x1, y1, x2, y2, 'stroke-linecap': 'round', fill: 'none' });
+        }
+        break;
+      }
+      default:
+        svgEl(parent, 'rect', { ...attrs, x: x + inset, y: y + inset, width: Math.max(0, w - strokeWidth), height: Math.max(0, h - strokeWidth), rx: 4 });
+    }
+  }
+
+  function renderShapeContent(el, card) {
+    const w = card.width || 160;
+    const h = card.height || 100;
+    el.classList.add('shape-' + (isLineShape(card) ? 'line' : 'closed'));
+    const svg = svgEl(null, 'svg', { class: 'shape-svg', width: w, height: h });
+    drawShape(svg, card, 0, 0, w, h);
+    el.appendChild(svg);
+
+    if (isLineShape(card)) {
+      // Only the stroke itself picks up the mouse, not the whole box
+      const p = linePoints(card);
+      svgEl(svg, 'line', {
+        class: 'shape-hit', ...p, stroke: 'transparent', 'stroke-width': Math.max(14, (card.strokeWidth || 2) + 10)
+      });
+      ['start', 'end'].forEach(end => {
+        const handle = document.createElement('div');
+        handle.className = 'shape-handle';
+        const anchor = lineAnchor(card, end);
+        handle.style.left = anchor.x + 'px';
+        handle.style.top = anchor.y + 'px';
+        handle.addEventListener('mousedown', (e) => startShapeHandleDrag(card, end, e));
+        el.appendChild(handle);
+      });
+      el.addEventListener('dblclick', (e) => {
+        e.stopPropagation();
+        showShapeStyleDialog(card.id);
+      });
+      return;
+    }
+
+    const text = document.createElement('div');
+    text.className = 'shape-text';
+    text.contentEditable = 'false';
+    text.textContent = card.text || '';
+    text.addEventListener('input', () => {
+      updateCard(card.id, { text: text.textContent });
+    });
+    text.addEventListener('keydown', (e) => {
+      // The text is a single paragraph; Enter finishes it
+      if (e.key === 'Enter' || e.key === 'Escape') {
+        e.preventDefault();
+        text.blur();
+      }
+    });
+    text.addEventListener('blur', () => {
+      text.contentEditable = 'false';
+      el.classList.remove('editing');
+    });
+    el.appendChild(text);
+    el.addEventListener('dblclick', (e) => {
+      e.stopPropagation();
+      editShapeText(card.id);
+    });
+  }
+
+  function editShapeText(cardId) {
+    const el = document.getElementById(cardId);
+    const text = el && el.querySelector('.shape-text');
+    if (!text) return;
+    text.contentEditable = 'true';
+    el.classList.add('editing');
+    text.focus();
+    const range = document.createRange();
+    range.selectNodeContents(text);
+    range.collapse(false);
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+  }
+
+  // Drags one end of a line; the other end stays where it is
+  function startShapeHandleDrag(card, end, e) {
+    e.stopPropagation();
+    e.preventDefault();
+    commitHistory();
+    const onMove = (ev) => {
+      const p = linePoints(card);
+      const pos = screenToCanvas(ev.clientX, ev.clientY);
+      if (state.ui.snapping) {
+        pos.x = Math.round(pos.x / 20) * 20;
+        pos.y = Math.round(pos.y / 20) * 20;
+      }
+      const fixed = end === 'start' ? { x: card.x + p.x2, y: card.y + p.y2 } : { x: card.x + p.x1, y: card.y + p.y1 };
+      Object.assign(card, end === 'start' ? lineBox(pos.x, pos.y, fixed.x, fixed.y) : lineBox(fixed.x, fixed.y, pos.x, pos.y));
+      markDirty('cards', card.id);
+      renderCard(card).classList.remove('card-new');
+      queueLiveMove(card.id);
+      renderConnections();
+    };
+    const onUp = () => {
+      document.removeEventListener('mousemove', onMove);
+      document.removeEventListener('mouseup', onUp);
+      pushHistory();
+      autoSave();
+    };
+    document.addEventListener('mousemove', onMove);
+    document.addEventListener('mouseup', onUp);
+  }
+
+  function showShapeStyleDialog(cardId) {
+    const card = state.cards[cardId];
+    if (!card || card.type !== 'shape') return;
+    const line = isLineShape(card);
+    const kinds = Object.entries(SHAPE_KINDS).filter(([kind]) => (kind === 'line' || kind === 'arrow') === line);
+    const fills = [{ name: 'Sem preenchimento', value: 'transparent' }, ...[...dom.colorPicker.querySelectorAll('.color-swatch')]
+      .map(s => ({ name: s.title, value: s.dataset.color }))];
+    const swatches = (field, colors, current) => `<div class="shape-swatches" data-field="${field}">${colors.map(c =>
+      `<button type="button" class="color-swatch${c.value === current ? ' active' : ''}${c.value === 'transparent' ? ' no-fill' : ''}" data-color="${c.value}" title="${c.name}" style="background:${c.value}"></button>`).join('')}</div>`;
+    const options = (entries, current) => entries.map(([value, label]) =>
+      `<option value="${value}"${String(value) === String(current) ? ' selected' : ''}>${label}</option>`).join('');
+
+    showModal('Estilo da forma', `
+      <label class="export-option">Forma <select id="shape-kind">${options(kinds, card.shape)}</select></label>
+      <label class="export-option">Traço <select id="shape-dash">${options(Object.entries(SHAPE_DASHES), card.dash || 'solid')}</select>
+        <select id="shape-stroke-width">${options(SHAPE_STROKE_WIDTHS.map(w => [w, w + ' px']), card.strokeWidth || 2)}</select></label>
+      <label class="shape-style-label">Cor do traço</label>
+      ${swatches('stroke', ARROW_COLORS, card.stroke || '#888888')}
+      ${line ? '' : `<label class="shape-style-label">Preenchimento</label>${swatches('color', fills, card.color || 'transparent')}`}
+    `, () => {
+      const picked = (field) => {
+        const swatch = dom.modalBody.querySelector(`.shape-swatches[data-field="${field}"] .color-swatch.active`);
+        return swatch ? swatch.dataset.color : card[field];
+      };
+      pushHistory();
+      updateCard(cardId, {
+        shape: dom.modalBody.querySelector('#shape-kind').value,
+        dash: dom.modalBody.querySelector('#shape-dash').value,
+        strokeWidth: Number(dom.modalBody.querySelector('#shape-stroke-width').value) || 2,
+        stroke: picked('stroke'),
+        color: line ? card.color : picked('color')
+      });
+      renderCard(state.cards[cardId]).classList.remove('card-new');
+      renderConnections();
+    });
+    dom.modalBody.querySelectorAll('.shape-swatches').forEach(group => {
+      group.addEventListener('click', (e) => {
+        const swatch = e.target.closest('.color-swatch');
+        if (!swatch) return;
+        group.querySelectorAll('.color-swatch').forEach(s => s.classList.toggle('active', s === swatch));
+      });
+    });
+  }
+
+  // Sketch cards hold freehand drawing as vector strokes in card.strokes:
+  // { tool, color, width, points: [[x, y], ...] } relative to the card, so
+  // they stay sharp at any zoom and export as SVG paths. The drawing tool is
+  // shared by every sketch; each card keeps its own stack of earlier stroke
+  // lists for the toolbar's undo, for this session only.
+  const SKETCH_COLORS = ['#333333', '#e74c3c', '#f39c12', '#f1c40f', '#2ecc71', '#3498db', '#9b59b6'];
+  const SKETCH_WIDTHS = [2, 4, 8];
+  const SKETCH_HIGHLIGHTER_SCALE = 4;
+  const SKETCH_HIGHLIGHTER_OPACITY = 0.35;
+  const SKETCH_ERASER_RADIUS = 8;
+  const SKETCH_UNDO_LIMIT = 50;
+  const sketchTool = { tool: 'pen', color: SKETCH_COLORS[0], width: SKETCH_WIDTHS[1] };
+  const sketchUndo = new Map();
+
+  // Smooth path through the points, with quadratic curves between midpoints
+  function sketchPath(points) {
+    if (!points.length) return '';
+    const [x0, y0] = points[0];
+    if (points.length === 1) return `M ${x0} ${y0} l 0.01 0`;
+    let d = `M ${x0} ${y0}`;
+    for (let i = 1; i < points.length - 1; i++) {
+      const [x, y] = points[i];
+      const [nx, ny] = points[i + 1];
+      d += ` Q ${x} ${y} ${(x + nx) / 2} ${(y + ny) / 2}`;
+    }
+    const [xn, yn] = points[points.length - 1];
+    return d + ` L ${xn} ${yn}`;
+  }
+
+  function sketchStrokeAttrs(stroke) {
+    const highlighter = stroke.tool === 'highlighter';
+    return {
+      d: sketchPath(stroke.points || []), fill: 'none', stroke: stroke.color || SKETCH_COLORS[0],
+      'stroke-width': stroke.width || SKETCH_WIDTHS[1], 'stroke-linecap': highlighter ? 'square' : 'round',
+      'stroke-linejoin': 'round', 'stroke-opacity': highlighter ? SKETCH_HIGHLIGHTER_OPACITY : 1
+    };
+  }
+
+  // Draws strokes into an SVG element, offset by x, y
+  function drawSketchStrokes(parent, strokes, x = 0, y = 0) {
+    const group = svgEl(parent, 'g', x || y ? { transform: `translate(${x} ${y})` } : {});
+    (strokes || []).forEach(stroke => svgEl(group, 'path', sketchStrokeAttrs(stroke)));
+    return group;
+  }
 
-      const checkbox = document.createElement('input');
-      checkbox.type = 'checkbox';
-      checkbox.checked = item.done;
-      checkbox.addEventListener('change', () => {
-        pushHistory();
-        item.done = checkbox.checked;
-        itemEl.classList.toggle('done', item.done);
-        updateCard(card.id, { items: card.items });
-      });
+  function distanceToSegment(px, py, [x1, y1], [x2, y2]) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const t = dx || dy ? clamp(((px - x1) * dx + (py - y1) * dy) / (dx * dx + dy * dy), 0, 1) : 0;
+    return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+  }
 
-      const text = document.createElement('input');
-      text.className = 'todo-text';
-      text.type = 'text';
-      text.value = item.text;
-      text.placeholder = 'Nova tarefa...';
-      text.addEventListener('input', () => {
-        item.text = text.value;
-        updateCard(card.id, { items: card.items });
-      });
-      text.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') {
-          e.preventDefault();
-          pushHistory();
-          card.items.splice(idx + 1, 0, { id: uid(), text: '', done: false });
-          updateCard(card.id, { items: card.items });
-          renderTodoItems(listEl, card);
-          const inputs = listEl.querySelectorAll('.todo-text');
-          if (inputs[idx + 1]) inputs[idx + 1].focus();
-        }
-        if (e.key === 'Backspace' && text.value === '' && card.items.length > 1) {
-          e.preventDefault();
+  function strokeHit(stroke, x, y) {
+    const points = stroke.points || [];
+    const reach = (stroke.width || 0) / 2 + SKETCH_ERASER_RADIUS;
+    if (points.length === 1) return Math.hypot(x - points[0][0], y - points[0][1]) <= reach;
+    return points.some((point, i) => i > 0 && distanceToSegment(x, y, points[i - 1], point) <= reach);
+  }
+
+  function renderSketchContent(el, card) {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'sketch-toolbar';
+    toolbar.innerHTML = `
+      <span class="sketch-grip" title="Arrastar">⠿</span>
+      <button data-sketch-tool="pen" title="Caneta">✏️</button>
+      <button data-sketch-tool="highlighter" title="Marca-texto">🖍️</button>
+      <button data-sketch-tool="eraser" title="Borracha (apaga traços inteiros)">🧽</button>
+      <span class="sketch-divider"></span>
+      ${SKETCH_COLORS.map(c => `<button class="sketch-color" data-sketch-color="${c}" style="background:${c}" title="${c}"></button>`).join('')}
+      <span class="sketch-divider"></span>
+      ${SKETCH_WIDTHS.map(w => `<button data-sketch-width="${w}" title="Espessura ${w}"><span class="sketch-dot" style="width:${w + 2}px;height:${w + 2}px"></span></button>`).join('')}
+      <span class="sketch-divider"></span>
+      <button data-sketch-action="undo" title="Desfazer traço">↶</button>
+      <button data-sketch-action="clear" title="Limpar desenho">🗑️</button>`;
+    el.appendChild(toolbar);
+
+    const surface = svgEl(null, 'svg', { class: 'sketch-surface' });
+    el.appendChild(surface);
+    const redraw = () => {
+      surface.replaceChildren();
+      drawSketchStrokes(surface, card.strokes);
+    };
+    redraw();
+    syncSketchToolbar(toolbar);
+
+    toolbar.addEventListener('mousedown', (e) => {
+      if (e.target.closest('button')) e.stopPropagation();
+    });
+    toolbar.addEventListener('click', (e) => {
+      const btn = e.target.closest('button');
+      if (!btn) return;
+      if (btn.dataset.sketchTool) sketchTool.tool = btn.dataset.sketchTool;
+      if (btn.dataset.sketchColor) {
+        sketchTool.color = btn.dataset.sketchColor;
+        if (sketchTool.tool === 'eraser') sketchTool.tool = 'pen';
+      }
+      if (btn.dataset.sketchWidth) sketchTool.width = Number(btn.dataset.sketchWidth);
+      if (btn.dataset.sketchAction === 'undo') {
+        const previous = (sketchUndo.get(card.id) || []).pop();
+        if (previous) {
           pushHistory();
-          card.items.splice(idx, 1);
-          updateCard(card.id, { items: card.items });
-          renderTodoItems(listEl, card);
-          const inputs = listEl.querySelectorAll('.todo-text');
-          const focusIdx = Math.max(0, idx - 1);
-          if (inputs[focusIdx]) inputs[focusIdx].focus();
+          updateCard(card.id, { strokes: previous });
+          redraw();
         }
-      });
-      text.addEventListener('mousedown', (e) => e.stopPropagation());
-
-      const deleteBtn = document.createElement('button');
-      deleteBtn.className = 'todo-delete';
-      deleteBtn.textContent = '×';
-      deleteBtn.addEventListener('mousedown', (e) => {
-        e.stopPropagation();
-        if (card.items.length <= 1) return;
-        pushHistory();
-        card.items.splice(idx, 1);
-        updateCard(card.id, { items: card.items });
-        renderTodoItems(listEl, card);
-      });
+      }
+      if (btn.dataset.sketchAction === 'clear' && (card.strokes || []).length) {
+        setSketchStrokes(card, []);
+        redraw();
+      }
+      // Every sketch on the board shows the same tool
+      $$('.card-sketch .sketch-toolbar').forEach(syncSketchToolbar);
+    });
 
-      itemEl.appendChild(checkbox);
-      itemEl.appendChild(text);
-      itemEl.appendChild(deleteBtn);
-      listEl.appendChild(itemEl);
+    // Drawing takes the mouse; panning, connecting and touch panning don't
+    surface.addEventListener('mousedown', (e) => {
+      if (!state.ui.spacePressed && !state.ui.isDrawingConnection && state.ui.activeTool !== 'arrow') e.stopPropagation();
     });
+    surface.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0 || state.ui.spacePressed || state.ui.isDrawingConnection || state.ui.activeTool === 'arrow') return;
+      e.preventDefault();
+      if (!state.selectedCardIds.has(card.id)) selectCard(card.id);
+      startSketchStroke(card, surface, e, redraw);
+    });
+  }
+
+  function syncSketchToolbar(toolbar) {
+    toolbar.querySelectorAll('[data-sketch-tool]').forEach(b => b.classList.toggle('active', b.dataset.sketchTool === sketchTool.tool));
+    toolbar.querySelectorAll('[data-sketch-color]').forEach(b => b.classList.toggle('active', b.dataset.sketchColor === sketchTool.color));
+    toolbar.querySelectorAll('[data-sketch-width]').forEach(b => b.classList.toggle('active', Number(b.dataset.sketchWidth) === sketchTool.width));
+  }
+
+  // The toolbar's undo only knows this tab's own strokes: once the card is
+  // changed some other way its stack would bring back stale drawings
+  function forgetSketchUndo(cardIds) {
+    if (!cardIds) sketchUndo.clear();
+    else cardIds.forEach(id => sketchUndo.delete(id));
+  }
+
+  // Replaces the strokes as one undo step, remembering the old ones for the
+  // toolbar's undo
+  function setSketchStrokes(card, strokes) {
+    const stack = sketchUndo.get(card.id) || [];
+    stack.push(card.strokes || []);
+    if (stack.length > SKETCH_UNDO_LIMIT) stack.shift();
+    sketchUndo.set(card.id, stack);
+    pushHistory();
+    updateCard(card.id, { strokes });
+  }
+
+  function startSketchStroke(card, surface, e, redraw) {
+    const round = (n) => Math.round(n * 10) / 10;
+    const toPoint = (ev) => {
+      const rect = surface.getBoundingClientRect();
+      return [round((ev.clientX - rect.left) / state.canvas.zoom), round((ev.clientY - rect.top) / state.canvas.zoom)];
+    };
+    const erasing = sketchTool.tool === 'eraser';
+    let strokes = card.strokes || [];
+    let path = null;
+    let stroke = null;
+
+    const erase = ([x, y]) => {
+      const kept = strokes.filter(s => !strokeHit(s, x, y));
+      if (kept.length === strokes.length) return;
+      strokes = kept;
+      surface.replaceChildren();
+      drawSketchStrokes(surface, strokes);
+    };
+    if (erasing) {
+      erase(toPoint(e));
+    } else {
+      const highlighter = sketchTool.tool === 'highlighter';
+      stroke = {
+        tool: sketchTool.tool,
+        color: sketchTool.color,
+        width: sketchTool.width * (highlighter ? SKETCH_HIGHLIGHTER_SCALE : 1),
+        points: [toPoint(e)]
+      };
+      path = svgEl(surface, 'path', sketchStrokeAttrs(stroke));
+    }
+
+    const onMove = (ev) => {
+      const point = toPoint(ev);
+      if (erasing) {
+        erase(point);
+        return;
+      }
+      // Points closer than a pixel add size without adding detail
+      const last = stroke.points[stroke.points.length - 1];
+      if (Math.hypot(point[0] - last[0], point[1] - last[1]) < 1) return;
+      stroke.points.push(point);
+      path.setAttribute('d', sketchPath(stroke.points));
+    };
+    const onUp = () => {
+      document.removeEventListener('pointermove', onMove);
+      document.removeEventListener('pointerup', onUp);
+      document.removeEventListener('pointercancel', onUp);
+      if (erasing) {
+        if (strokes !== (card.strokes || [])) setSketchStrokes(card, strokes);
+      } else {
+        setSketchStrokes(card, [...strokes, stroke]);
+      }
+      redraw();
+    };
+    document.addEventListener('pointermove', onMove);
+    document.addEventListener('pointerup', onUp);
+    document.addEventListener('pointercancel', onUp);
   }
 
   function renderImageContent(el, card) {
@@ -961,6 +6257,8 @@
     const col = state.cards[columnId];
     if (!col.childCardIds) col.childCardIds = [];
     col.childCardIds.push(noteId);
+    markDirty('cards', noteId);
+    markDirty('cards', columnId);
     renderCard(col);
     autoSave();
   }
@@ -968,9 +6266,12 @@
   function removeNoteFromColumn(columnId, noteId) {
     const col = state.cards[columnId];
     if (!col || !col.childCardIds) return;
+    if (state.cards[noteId]) moveToTrash(state.cards[noteId]);
     col.childCardIds = col.childCardIds.filter(id => id !== noteId);
     // Delete the note card data
     delete state.cards[noteId];
+    markDirty('cards', noteId);
+    markDirty('cards', columnId);
     renderCard(col);
     autoSave();
   }
@@ -988,6 +6289,9 @@
     // Update note's column ref
     const note = state.cards[draggedId];
     if (note) note._inColumn = toColumnId;
+    markDirty('cards', draggedId);
+    markDirty('cards', toColumnId);
+    if (fromCol) markDirty('cards', fromColumnId);
     // Re-render both columns
     if (fromCol && fromColumnId !== toColumnId) renderCard(fromCol);
     renderCard(toCol);
@@ -1000,10 +6304,12 @@
     const col = state.cards[note._inColumn];
     if (col && col.childCardIds) {
       col.childCardIds = col.childCardIds.filter(id => id !== noteId);
+      markDirty('cards', col.id);
       renderCard(col);
     }
     const oldCol = note._inColumn;
     delete note._inColumn;
+    markDirty('cards', noteId);
     return oldCol;
   }
 
@@ -1034,6 +6340,8 @@
         note._inColumn = cid;
         if (!col.childCardIds) col.childCardIds = [];
         col.childCardIds.push(noteId);
+        markDirty('cards', noteId);
+        markDirty('cards', cid);
         // Remove from board's visible cards but keep in cardIds for data
         const el = document.getElementById(noteId);
         if (el) el.remove();
@@ -1124,6 +6432,7 @@
       updateCard(card.id, { name: name.textContent });
       if (card.linkedBoardId && state.boards[card.linkedBoardId]) {
         state.boards[card.linkedBoardId].name = name.textContent;
+        markDirty('boards', card.linkedBoardId);
       }
     });
     name.addEventListener('blur', () => {
@@ -1152,6 +6461,12 @@
       }
       dom.breadcrumb.appendChild(crumb);
     });
+    const exportBtn = document.createElement('button');
+    exportBtn.className = 'crumb-export';
+    exportBtn.title = 'Exportar este quadro';
+    exportBtn.innerHTML = '<svg viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4"/><polyline points="7,10 12,15 17,10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>';
+    exportBtn.addEventListener('click', () => showExportDialog(state.currentBoardId));
+    dom.breadcrumb.appendChild(exportBtn);
   }
 
   // ============= CONNECTIONS =============
@@ -1188,7 +6503,15 @@
     return markerId;
   }
 
-  function getControlPointOffset(pos) {
+  function getControlPointOffset(pos, card) {
+    // A line's ends point on along the line
+    if (lineAnchor(card, pos)) {
+      const p = linePoints(card);
+      const dx = pos === 'end' ? p.x2 - p.x1 : p.x1 - p.x2;
+      const dy = pos === 'end' ? p.y2 - p.y1 : p.y1 - p.y2;
+      const length = Math.hypot(dx, dy);
+      return length ? { dx: dx / length, dy: dy / length } : { dx: 1, dy: 0 };
+    }
     switch (pos) {
       case 'top': return { dx: 0, dy: -1 };
       case 'bottom': return { dx: 0, dy: 1 };
@@ -1198,11 +6521,11 @@
     }
   }
 
-  function buildCurvePath(from, to, fromPos, toPos) {
+  function buildCurvePath(from, to, fromPos, toPos, fromCard, toCard) {
     const dist = Math.sqrt((to.x - from.x) ** 2 + (to.y - from.y) ** 2);
     const tension = clamp(dist * 0.4, 40, 250);
-    const fromDir = getControlPointOffset(fromPos);
-    const toDir = getControlPointOffset(toPos);
+    const fromDir = getControlPointOffset(fromPos, fromCard);
+    const toDir = getControlPointOffset(toPos, toCard);
     const cp1x = from.x + fromDir.dx * tension;
     const cp1y = from.y + fromDir.dy * tension;
     const cp2x = to.x + toDir.dx * tension;
@@ -1234,7 +6557,7 @@
       const color = conn.color || '#888888';
       const markerId = createArrowMarker(defs, color);
 
-      const curvePath = buildCurvePath(from, to, fromPos, toPos);
+      const curvePath = buildCurvePath(from, to, fromPos, toPos, fromCard, toCard);
 
       // Invisible wider hit-area path for easier clicking
       const hitArea = document.createElementNS('http://www.w3.org/2000/svg', 'path');
@@ -1262,6 +6585,7 @@
         e.stopPropagation();
         pushHistory();
         board.connections = board.connections.filter(c => c.id !== conn.id);
+        markDirty('boards', board.id);
         renderConnections();
         autoSave();
         showToast('Conexão removida');
@@ -1297,6 +6621,7 @@
         const conn = board.connections.find(cn => cn.id === connId);
         if (conn) {
           conn.color = c.value;
+          markDirty('boards', board.id);
           renderConnections();
           autoSave();
         }
@@ -1316,10 +6641,15 @@
   }
 
   function getConnectionPoint(card, el, pos) {
-    const x = card.x;
-    const y = card.y;
-    const w = el.offsetWidth;
-    const h = el.offsetHeight;
+    return getCardPoint(card, { x: card.x, y: card.y, w: el.offsetWidth, h: el.offsetHeight }, pos);
+  }
+
+  function getCardPoint(card, box, pos) {
+    const anchor = lineAnchor(card, pos);
+    return anchor ? { x: box.x + anchor.x, y: box.y + anchor.y } : getBoxPoint(box, pos);
+  }
+
+  function getBoxPoint({ x, y, w, h }, pos) {
     switch (pos) {
       case 'top': return { x: x + w / 2, y: y };
       case 'bottom': return { x: x + w / 2, y: y + h };
@@ -1358,7 +6688,7 @@
     const toPos = Math.abs(dx) > Math.abs(dy) ? (dx > 0 ? 'right' : 'left') : (dy > 0 ? 'bottom' : 'top');
 
     const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    path.setAttribute('d', buildCurvePath(from, to, fromPos, toPos));
+    path.setAttribute('d', buildCurvePath(from, to, fromPos, toPos, fromCard));
     path.setAttribute('class', 'temp-connection');
     dom.connectionsSvg.appendChild(path);
   }
@@ -1376,6 +6706,7 @@
       fromPos: state.ui.connectionStartPos,
       toPos: targetPos || 'left'
     });
+    markDirty('boards', board.id);
 
     // Reset drawing state
     state.ui.isDrawingConnection = false;
@@ -1409,6 +6740,20 @@
   function startEditing(cardId) {
     const card = state.cards[cardId];
     if (!card) return;
+    // Sketches are drawn on directly
+    if (card.type === 'sketch') return;
+    // Table cells are inputs that need no editing mode
+    if (card.type === 'table') {
+      const el = document.getElementById(cardId);
+      const cell = el && el.querySelector('.table-cell');
+      if (cell) cell.focus();
+      return;
+    }
+    if (card.type === 'shape') {
+      if (isLineShape(card)) showShapeStyleDialog(cardId);
+      else editShapeText(cardId);
+      return;
+    }
     state.ui.editingCardId = cardId;
     const el = document.getElementById(cardId);
     if (!el) return;
@@ -1556,6 +6901,8 @@
   // ============= DRAG & DROP =============
   function startDrag(cardId, e) {
     if (state.ui.editingCardId === cardId) return;
+    // Keeps an edit still waiting for a pause out of the drag's undo step
+    commitHistory();
     state.ui.isDragging = true;
 
     // Calculate offsets for all selected cards
@@ -1596,8 +6943,10 @@
       }
       card.x = newX;
       card.y = newY;
+      markDirty('cards', id);
       el.style.left = card.x + 'px';
       el.style.top = card.y + 'px';
+      queueLiveMove(id);
     });
 
     renderConnections();
@@ -1628,6 +6977,7 @@
 
   // ============= RESIZE =============
   function startResize(cardId, e) {
+    commitHistory();
     state.ui.isResizing = true;
     state.ui.resizeCardId = cardId;
     const card = state.cards[cardId];
@@ -1650,16 +7000,25 @@
     const dx = (e.clientX - rs.mouseX) / state.canvas.zoom;
     const dy = (e.clientY - rs.mouseY) / state.canvas.zoom;
 
-    const newWidth = Math.max(120, rs.width + dx);
-    const newHeight = Math.max(60, rs.height + dy);
+    const minWidth = card.type === 'shape' ? SHAPE_MIN_SIZE : 120;
+    const minHeight = card.type === 'shape' ? SHAPE_MIN_SIZE : 60;
+    const newWidth = Math.max(minWidth, rs.width + dx);
+    const newHeight = Math.max(minHeight, rs.height + dy);
 
     card.width = newWidth;
     el.style.width = newWidth + 'px';
+    markDirty('cards', card.id);
 
-    if (card.type === 'column') {
+    if (card.type === 'column' || card.type === 'sketch') {
       card.height = newHeight;
       el.style.height = newHeight + 'px';
     }
+    if (card.type === 'shape') {
+      card.height = newHeight;
+      renderCard(card).classList.remove('card-new');
+      renderConnections();
+    }
+    queueLiveMove(card.id);
   }
 
   function stopResize() {
@@ -1696,6 +7055,8 @@
       if (card.type === 'column' && (card.title || '').toLowerCase().includes(q)) match = true;
       if (card.type === 'board' && (card.name || '').toLowerCase().includes(q)) match = true;
       if (card.type === 'image' && (card.caption || '').toLowerCase().includes(q)) match = true;
+      if (card.type === 'shape' && (card.text || '').toLowerCase().includes(q)) match = true;
+      if (card.type === 'table' && tableCells(card.cells).some(row => row.some(cell => cell.toLowerCase().includes(q)))) match = true;
 
       const el = document.getElementById(cid);
       if (el && match) el.classList.add('search-match');
@@ -1703,17 +7064,22 @@
   }
 
   // ============= MODAL =============
-  function showModal(title, bodyHTML, onConfirm) {
+  let modalConfirmHandler = null;
+  let modalCancelHandler = null;
+
+  function showModal(title, bodyHTML, onConfirm, onCancel) {
+    hideModal();
     dom.modalTitle.textContent = title;
     dom.modalBody.innerHTML = bodyHTML;
     dom.modalOverlay.classList.remove('hidden');
 
-    const confirmHandler = () => {
+    modalConfirmHandler = () => {
+      modalCancelHandler = null;
       onConfirm();
       hideModal();
-      dom.modalConfirm.removeEventListener('click', confirmHandler);
     };
-    dom.modalConfirm.addEventListener('click', confirmHandler);
+    modalCancelHandler = onCancel || null;
+    dom.modalConfirm.addEventListener('click', modalConfirmHandler);
 
     // Focus first input
     setTimeout(() => {
@@ -1724,6 +7090,14 @@
 
   function hideModal() {
     dom.modalOverlay.classList.add('hidden');
+    // Drop the handler so a cancelled dialog never confirms later
+    if (modalConfirmHandler) {
+      dom.modalConfirm.removeEventListener('click', modalConfirmHandler);
+      modalConfirmHandler = null;
+    }
+    const onCancel = modalCancelHandler;
+    modalCancelHandler = null;
+    if (onCancel) onCancel();
   }
 
   // ============= CONTEXT MENUS =============
@@ -1781,13 +7155,91 @@
         ctx.drawImage(img, 0, 0, w, h);
         // Use PNG for images with transparency, JPEG for others
         const isPng = file.type === 'image/png';
-        callback(cnv.toDataURL(isPng ? 'image/png' : 'image/jpeg', 0.85));
+        storeImage(cnv.toDataURL(isPng ? 'image/png' : 'image/jpeg', 0.85), callback);
       };
       img.src = e.target.result;
     };
     reader.readAsDataURL(file);
   }
 
+  function dataUrlToBlob(dataUrl) {
+    const [header, base64] = dataUrl.split(',');
+    const type = header.slice(5).split(';')[0];
+    const bytes = atob(base64);
+    const buffer = new Uint8Array(bytes.length);
+    for (let i = 0; i < bytes.length; i++) buffer[i] = bytes.charCodeAt(i);
+    return new Blob([buffer], { type });
+  }
+
+  const isInlineImage = (value) => typeof value === 'string' && value.startsWith('data:');
+
+  // On our server images go to the upload store and cards keep only the
+  // asset URL; in browser-only mode the data URL itself is kept.
+  function storeImage(dataUrl, callback) {
+    if (storage !== serverBackend) {
+      callback(dataUrl);
+      return;
+    }
+    apiRequest('POST', '/api/uploads', dataUrlToBlob(dataUrl))
+      .then(asset => callback(asset.url))
+      .catch((err) => {
+        console.error('Erro ao enviar imagem:', err);
+        showToast('⚠️ Não foi possível enviar a imagem. Ela ficará salva dentro do quadro.');
+        callback(dataUrl);
+        updateMigrateImagesButton();
+      });
+  }
+
+  function countInlineImages() {
+    let count = 0;
+    Object.values(state.cards).forEach(card => {
+      if (isInlineImage(card.imageData)) count++;
+      if (isInlineImage(card.coverImage)) count++;
+    });
+    return count;
+  }
+
+  function updateMigrateImagesButton() {
+    if (!dom.migrateImagesBtn) return;
+    const count = storage === serverBackend ? countInlineImages() : 0;
+    dom.migrateImagesBtn.classList.toggle('hidden', count === 0);
+    dom.migrateImagesBtn.title = `Enviar ${count} imagem(ns) embutida(s) para o servidor`;
+  }
+
+  // Moves base64 images stored inside cards to the server's upload store
+  async function migrateInlineImages() {
+    if (storage !== serverBackend) return;
+    const uploaded = {};
+    let migrated = 0;
+    let failed = 0;
+    dom.migrateImagesBtn.disabled = true;
+    showToast('⏳ Enviando imagens para o servidor...');
+
+    for (const card of Object.values(state.cards)) {
+      for (const field of ['imageData', 'coverImage']) {
+        const value = card[field];
+        if (!isInlineImage(value)) continue;
+        try {
+          if (!uploaded[value]) uploaded[value] = (await apiRequest('POST', '/api/uploads', dataUrlToBlob(value))).url;
+          card[field] = uploaded[value];
+          markDirty('cards', card.id);
+          migrated++;
+        } catch (err) {
+          console.error('Erro ao migrar imagem:', err);
+          failed++;
+        }
+      }
+    }
+
+    dom.migrateImagesBtn.disabled = false;
+    renderCurrentBoard();
+    autoSave();
+    updateMigrateImagesButton();
+    showToast(failed
+      ? `⚠️ ${migrated} imagem(ns) migrada(s), ${failed} com erro.`
+      : `✅ ${migrated} imagem(ns) migrada(s) para o servidor!`);
+  }
+
   // ============= ADD CARD FROM TOOL =============
   function addCardFromTool(type) {
     const vpRect = dom.viewport.getBoundingClientRect();
@@ -1828,6 +7280,18 @@
       case 'column':
         createCard('column', canvasPos.x - 140, canvasPos.y - 200);
         break;
+      case 'table':
+        createCard('table', canvasPos.x - 190, canvasPos.y - 70);
+        break;
+      case 'shape':
+        createCard('shape', canvasPos.x - 80, canvasPos.y - 50);
+        break;
+      case 'line':
+        createCard('shape', 0, 0, { shape: 'line', ...lineBox(canvasPos.x - 100, canvasPos.y, canvasPos.x + 100, canvasPos.y) });
+        break;
+      case 'sketch':
+        createCard('sketch', canvasPos.x - 160, canvasPos.y - 120);
+        break;
       case 'board':
         showModal('Novo Quadro',
           '<label>Nome do quadro</label><input type="text" id="board-name-input" placeholder="Meu novo quadro">',
@@ -1888,6 +7352,18 @@
       case 'column':
         createCard('column', canvasPos.x - 140, canvasPos.y - 20);
         break;
+      case 'table':
+        createCard('table', canvasPos.x - 190, canvasPos.y - 20);
+        break;
+      case 'shape':
+        createCard('shape', canvasPos.x - 80, canvasPos.y - 20);
+        break;
+      case 'line':
+        createCard('shape', 0, 0, { shape: 'line', ...lineBox(canvasPos.x, canvasPos.y, canvasPos.x + 200, canvasPos.y) });
+        break;
+      case 'sketch':
+        createCard('sketch', canvasPos.x - 160, canvasPos.y - 20);
+        break;
       case 'board':
         showModal('Novo Quadro',
           '<label>Nome do quadro</label><input type="text" id="board-name-input" placeholder="Meu novo quadro">',
@@ -1917,7 +7393,11 @@
       image: '🖼️ Imagem',
       link: '🔗 Link',
       column: '📊 Coluna',
-      board: '📋 Quadro'
+      board: '📋 Quadro',
+      table: '▦ Tabela',
+      shape: '▭ Forma',
+      line: '╱ Linha',
+      sketch: '✏️ Desenho'
     };
 
     $$('.sidebar-tools .tool-btn').forEach(btn => {
@@ -1958,8 +7438,9 @@
 
     dom.viewport.addEventListener('drop', (e) => {
       e.preventDefault();
+      if (isPreviewing()) return;
       const tool = e.dataTransfer.getData('text/plain');
-      const validTools = ['note', 'todo', 'image', 'link', 'column', 'board'];
+      const validTools = ['note', 'todo', 'image', 'link', 'column', 'board', 'table', 'shape', 'line', 'sketch'];
 
       if (validTools.includes(tool)) {
         // Dropped from sidebar
@@ -1977,6 +7458,10 @@
           });
         });
       }
+
+      // Markdown and CSV files
+      const textFiles = Array.from(e.dataTransfer.files).filter(isTextImportFile);
+      if (textFiles.length > 0) importTextFiles(textFiles, screenToCanvas(e.clientX, e.clientY));
     });
 
     // --- Dark mode ---
@@ -2012,6 +7497,18 @@
       importBtn.disabled = false;
     });
 
+    // --- Inline image migration ---
+    if (dom.migrateImagesBtn) dom.migrateImagesBtn.addEventListener('click', migrateInlineImages);
+
+    // --- Storage usage ---
+    if (dom.storageBtn) dom.storageBtn.addEventListener('click', showStorageDetails);
+    $('#trash-btn').addEventListener('click', showTrashPanel);
+    if (dom.saveStatus) {
+      dom.saveStatus.addEventListener('click', () => {
+        if (dom.saveStatus.dataset.status === 'error') saveToStorage();
+      });
+    }
+
     // --- Image input ---
     dom.imageInput.addEventListener('change', (e) => {
       const files = Array.from(e.target.files);
@@ -2053,6 +7550,16 @@
     dom.undoBtn.addEventListener('click', undo);
     dom.redoBtn.addEventListener('click', redo);
 
+    // --- Version history ---
+    $('#checkpoints-btn').addEventListener('click', showCheckpointPanel);
+    dom.checkpointBar.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-checkpoint-action]');
+      if (!btn) return;
+      const action = btn.dataset.checkpointAction;
+      if (action === 'close') closeCheckpointPreview();
+      else restoreCheckpoint(checkpointPreview.checkpoint, action === 'copy');
+    });
+
     // --- Zoom buttons ---
     $('#zoom-in-btn').addEventListener('click', () => {
       const vpRect = dom.viewport.getBoundingClientRect();
@@ -2079,6 +7586,7 @@
     dom.viewport.addEventListener('mousemove', (e) => {
       state.ui.lastMouseX = e.clientX;
       state.ui.lastMouseY = e.clientY;
+      trackLiveCursor(e);
     });
     document.addEventListener('mouseup', onDocumentMouseUp);
     dom.viewport.addEventListener('wheel', onViewportWheel, { passive: false });
@@ -2114,19 +7622,23 @@
           duplicateCard(cardId);
           break;
         case 'color':
-          showColorPicker(cardId);
+          if (isLineShape(state.cards[cardId])) showShapeStyleDialog(cardId);
+          else showColorPicker(cardId);
+          break;
+        case 'shape-style':
+          showShapeStyleDialog(cardId);
           break;
         case 'copy':
           copyCards();
           break;
         case 'bring-front':
-          bringToFront(cardId);
           pushHistory();
+          bringToFront(cardId);
           autoSave();
           break;
         case 'send-back':
-          sendToBack(cardId);
           pushHistory();
+          sendToBack(cardId);
           autoSave();
           break;
         case 'add-cover':
@@ -2134,6 +7646,9 @@
           dom.imageInput.dataset.boardCoverId = cardId;
           dom.imageInput.click();
           break;
+        case 'export-board':
+          if (state.cards[cardId]) showExportDialog(state.cards[cardId].linkedBoardId);
+          break;
         case 'delete':
           deleteCard(cardId);
           break;
@@ -2153,7 +7668,10 @@
         const el = document.getElementById(id);
         if (card && el) {
           card.color = color;
-          if (card.type === 'image') {
+          markDirty('cards', id);
+          if (card.type === 'shape') {
+            renderCard(card).classList.remove('card-new');
+          } else if (card.type === 'image') {
             el.style.background = 'transparent';
           } else {
             el.style.background = color;
@@ -2212,6 +7730,10 @@
       e.target.closest('.card-caption[contenteditable="true"]') ||
       e.target.closest('.add-todo-btn') ||
       e.target.closest('.todo-delete') ||
+      e.target.closest('.table-cell') ||
+      e.target.closest('.table-actions') ||
+      e.target.closest('.table-col-resizer') ||
+      e.target.closest('.shape-text[contenteditable="true"]') ||
       e.target.closest('input[type="checkbox"]')) {
       return;
     }
@@ -2417,6 +7939,7 @@
 
   function onViewportContextMenu(e) {
     e.preventDefault();
+    if (isPreviewing()) return;
     const card = e.target.closest('.card');
 
     if (card) {
@@ -2424,11 +7947,14 @@
       if (!state.selectedCardIds.has(card.id)) {
         selectCard(card.id);
       }
-      // Show/hide board-only items
+      // Show/hide board-only and shape-only items
       const cardData = state.cards[card.id];
       dom.cardContextMenu.querySelectorAll('.board-only').forEach(btn => {
         btn.style.display = (cardData && cardData.type === 'board') ? '' : 'none';
       });
+      dom.cardContextMenu.querySelectorAll('.shape-only').forEach(btn => {
+        btn.style.display = (cardData && cardData.type === 'shape') ? '' : 'none';
+      });
       showContextMenu(dom.cardContextMenu, e.clientX, e.clientY);
     } else {
       state.ui._contextMenuX = e.clientX;
@@ -2438,6 +7964,14 @@
   }
 
   function getNearestConnectionPoint(cardEl, e) {
+    const card = state.cards[cardEl.id];
+    if (isLineShape(card)) {
+      const pos = screenToCanvas(e.clientX, e.clientY);
+      const p = linePoints(card);
+      const toStart = Math.hypot(card.x + p.x1 - pos.x, card.y + p.y1 - pos.y);
+      const toEnd = Math.hypot(card.x + p.x2 - pos.x, card.y + p.y2 - pos.y);
+      return toStart < toEnd ? 'start' : 'end';
+    }
     const rect = cardEl.getBoundingClientRect();
     const cx = rect.left + rect.width / 2;
     const cy = rect.top + rect.height / 2;
@@ -2545,6 +8079,12 @@
       document.activeElement.tagName === 'TEXTAREA' ||
       document.activeElement.contentEditable === 'true';
 
+    // A checkpoint preview is read-only; Escape closes it
+    if (isPreviewing()) {
+      if (e.key === 'Escape') closeCheckpointPreview();
+      return;
+    }
+
     // Global shortcuts (work even when editing)
     if ((e.ctrlKey || e.metaKey) && e.key === 'z' && !e.shiftKey) {
       if (!isEditing) { e.preventDefault(); undo(); }
@@ -2647,6 +8187,7 @@
         if (card && el) {
           card.x += dx;
           card.y += dy;
+          markDirty('cards', id);
           el.style.left = card.x + 'px';
           el.style.top = card.y + 'px';
         }
@@ -2671,6 +8212,411 @@
     }
   }
 
+  // ============= LIVE COLLABORATION =============
+  // Only available when served by server.js. After each autoSave, the boards
+  // and cards marked dirty since the last publish go out as operations,
+  // whichever board they are on; drag/resize previews and cursors are sent
+  // separately while they happen. Each board save is announced with its new
+  // revision, so the others' next save doesn't run into a conflict over
+  // changes they already have.
+  const USER_KEY = 'quadro-planejamento-user';
+  const PRESENCE_COLORS = ['#e74c3c', '#f39c12', '#2ecc71', '#3498db', '#9b59b6', '#e91e8a', '#1abc9c', '#34495e'];
+  // Board fields that only describe one person's view and are never shared
+  const VIEW_FIELDS = ['panX', 'panY', 'zoom'];
+
+  const live = {
+    enabled: false,
+    source: null,
+    clientId: uid(),
+    user: null,
+    peers: [],
+    applying: false,
+    changes: null,
+    // Open board and each board's shared fields, as last published or received
+    shared: { boardId: null, boards: {} },
+    pendingMoves: new Set()
+  };
+
+  function loadLiveUser() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(USER_KEY) || 'null');
+      if (saved && saved.name) return saved;
+    } catch (e) { /* ignore corrupt value */ }
+    const user = {
+      name: 'Convidado ' + Math.floor(10 + Math.random() * 90),
+      color: PRESENCE_COLORS[Math.floor(Math.random() * PRESENCE_COLORS.length)]
+    };
+    localStorage.setItem(USER_KEY, JSON.stringify(user));
+    return user;
+  }
+
+  function livePost(path, body) {
+    return apiRequest('POST', '/api/live/' + path, { clientId: live.clientId, ...body })
+      .catch(err => console.error('Erro na colaboração:', err));
+  }
+
+  function startLive() {
+    if (storage !== serverBackend || typeof EventSource === 'undefined') return;
+    live.enabled = true;
+    live.user = loadLiveUser();
+    live.changes = createChangeTracker();
+    live.shared = takeLiveSnapshot();
+
+    const params = new URLSearchParams({
+      clientId: live.clientId,
+      boardId: state.currentBoardId || '',
+      name: live.user.name,
+      color: live.user.color
+    });
+    live.source = new EventSource('/api/live?' + params);
+    // Reconnects reuse the original URL, so re-announce the current board
+    live.source.addEventListener('open', sendPresence);
+    live.source.addEventListener('presence', (e) => {
+      live.peers = JSON.parse(e.data).peers;
+      renderPresence();
+      pruneRemoteCursors();
+    });
+    live.source.addEventListener('ops', (e) => applyRemoteOps(JSON.parse(e.data)));
+    live.source.addEventListener('cursor', (e) => renderRemoteCursor(JSON.parse(e.data)));
+    renderPresence();
+  }
+
+  function sendPresence() {
+    livePost('presence', { boardId: state.currentBoardId, name: live.user.name, color: live.user.color });
+  }
+
+  function sharedBoard(board) {
+    const shared = { ...board };
+    VIEW_FIELDS.forEach(f => delete shared[f]);
+    return shared;
+  }
+
+  function takeLiveSnapshot() {
+    const snapshot = { boardId: state.currentBoardId, boards: {} };
+    Object.values(state.boards).forEach(b => { snapshot.boards[b.id] = JSON.stringify(sharedBoard(b)); });
+    return snapshot;
+  }
+
+  function publishLiveChanges(extraOps = []) {
+    if (!live.enabled || live.applying || isPreviewing()) return;
+    const shared = live.shared;
+    const dirty = takeChanges(live.changes);
+    const ops = [];
+    const deletedBoards = [];
+
+    dirty.boards.forEach(id => {
+      const board = state.boards[id];
+      if (!board) {
+        if (id in shared.boards) deletedBoards.push({ type: 'board:delete', id });
+        delete shared.boards[id];
+        return;
+      }
+      // Panning and zooming alone leave the shared fields as they were
+      const json = JSON.stringify(sharedBoard(board));
+      if (shared.boards[id] === json) return;
+      shared.boards[id] = json;
+      ops.push({ type: 'board:upsert', board: sharedBoard(board) });
+    });
+    dirty.cards.forEach(id => {
+      ops.push(state.cards[id] ? { type: 'card:upsert', card: state.cards[id] } : { type: 'card:delete', id });
+    });
+    ops.push(...deletedBoards, ...extraOps);
+
+    if (ops.length) livePost('ops', { boardId: state.currentBoardId, ops });
+    if (shared.boardId !== state.currentBoardId) {
+      shared.boardId = state.currentBoardId;
+      sendPresence();
+      clearRemoteCursors();
+    }
+  }
+
+  const publishLiveChangesSoon = throttle(publishLiveChanges, 120);
+
+  // Sends a whole board again, with its revision, to collaborators who
+  // dropped it
+  function republishBoard(boardId, revision) {
+    if (!live.enabled) return;
+    live.changes.boards.add(boardId);
+    Object.values(state.cards).forEach(c => { if (c.boardId === boardId) live.changes.cards.add(c.id); });
+    publishLiveChanges([{ type: 'board:saved', id: boardId, revision }]);
+  }
+
+  const publishLiveMoves = throttle(() => {
+    const ops = [];
+    live.pendingMoves.forEach(id => {
+      const c = state.cards[id];
+      if (c) ops.push({ type: 'card:patch', id, patch: { x: c.x, y: c.y, width: c.width, height: c.height, ...(c.points && { points: c.points }) } });
+    });
+    live.pendingMoves.clear();
+    if (ops.length) livePost('ops', { boardId: state.currentBoardId, transient: true, ops });
+  }, 50);
+
+  // Called while dragging/resizing, before the final state is published
+  function queueLiveMove(cardId) {
+    if (!live.enabled) return;
+    live.pendingMoves.add(cardId);
+    publishLiveMoves();
+  }
+
+  function replaceContents(target, source) {
+    Object.keys(target).forEach(k => { if (!(k in source)) delete target[k]; });
+    return Object.assign(target, source);
+  }
+
+  // Re-renders one card in place, leaving alone a card the user is typing in
+  function refreshRemoteCard(card) {
+    const el = document.getElementById(card.id);
+    if (card._inColumn) {
+      if (el) el.remove();
+      const col = state.cards[card._inColumn];
+      const colEl = col && document.getElementById(col.id);
+      if (colEl && !colEl.contains(document.activeElement)) renderCard(col).classList.remove('card-new');
+      return;
+    }
+    if (el && el.contains(document.activeElement)) {
+      el.style.left = card.x + 'px';
+      el.style.top = card.y + 'px';
+      return;
+    }
+    const fresh = renderCard(card);
+    if (el) fresh.classList.remove('card-new');
+  }
+
+  function applyRemoteOps(message) {
+    if (message.clientId === live.clientId) return;
+    if (isPreviewing()) {
+      checkpointPreview.pendingOps.push(message);
+      return;
+    }
+    const currentId = state.currentBoardId;
+    let touchedCurrent = false;
+    live.applying = true;
+    try {
+      applyExternalChange(() => message.ops.forEach(op => {
+        switch (op.type) {
+          case 'card:upsert': {
+            forgetSketchUndo([op.card.id]);
+            markDirty('cards', op.card.id);
+            const existing = state.cards[op.card.id];
+            const card = existing ? replaceContents(existing, op.card) : (state.cards[op.card.id] = op.card);
+            // Theirs replaces whatever this tab had yet to publish
+            live.changes.cards.delete(card.id);
+            if (card.boardId === currentId) {
+              refreshRemoteCard(card);
+              touchedCurrent = true;
+            }
+            break;
+          }
+          case 'card:patch': {
+            const card = state.cards[op.id];
+            if (!card) break;
+            Object.assign(card, op.patch);
+            markDirty('cards', op.id);
+            const el = document.getElementById(op.id);
+            if (el && card.type === 'shape') {
+              // The outline is drawn to the card's size
+              renderCard(card).classList.remove('card-new');
+            } else if (el) {
+              el.style.left = card.x + 'px';
+              el.style.top = card.y + 'px';
+              el.style.width = card.width + 'px';
+              if ((card.type === 'column' || card.type === 'sketch') && card.height) el.style.height = card.height + 'px';
+            }
+            if (card.boardId === currentId) touchedCurrent = true;
+            break;
+          }
+          case 'card:delete': {
+            const card = state.cards[op.id];
+            if (!card) break;
+            forgetSketchUndo([op.id]);
+            delete state.cards[op.id];
+            markDirty('cards', op.id);
+            state.selectedCardIds.delete(op.id);
+            const el = document.getElementById(op.id);
+            if (el) el.remove();
+            live.changes.cards.delete(op.id);
+            if (card.boardId === currentId) touchedCurrent = true;
+            break;
+          }
+          case 'board:upsert': {
+            markDirty('boards', op.board.id);
+            const existing = state.boards[op.board.id];
+            if (existing) {
+              const view = {};
+              VIEW_FIELDS.forEach(f => { if (f in existing) view[f] = existing[f]; });
+              replaceContents(existing, { ...op.board, ...view });
+            } else {
+              state.boards[op.board.id] = { ...op.board, panX: 0, panY: 0, zoom: 1 };
+            }
+            live.shared.boards[op.board.id] = JSON.stringify(sharedBoard(state.boards[op.board.id]));
+            if (op.board.id === currentId) touchedCurrent = true;
+            break;
+          }
+          case 'board:delete': {
+            Object.values(state.cards).forEach(c => {
+              if (c.boardId !== op.id) return;
+              delete state.cards[c.id];
+              markDirty('cards', c.id);
+            });
+            delete state.boards[op.id];
+            markDirty('boards', op.id);
+            delete live.shared.boards[op.id];
+            serverBackend.forgetBoard(op.id);
+            break;
+          }
+          case 'board:saved':
+            serverBackend.adoptRevision(op.id, op.revision);
+            break;
+        }
+      }));
+    } finally {
+      live.applying = false;
+    }
+
+    if (!state.boards[currentId]) {
+      // The open board was deleted by someone else
+      const fallback = Object.values(state.boards).find(b => !b.parentId);
+      if (fallback) navigateToBoard(fallback.id);
+      showToast(`🗑️ ${message.name || 'Alguém'} excluiu este quadro.`);
+      return;
+    }
+    if (touchedCurrent) {
+      renderConnections();
+      renderBreadcrumb();
+    }
+  }
+
+  // --- Presence ---
+  function initials(name) {
+    return (name || '?').split(/\s+/).filter(Boolean).slice(0, 2).map(w => w[0].toUpperCase()).join('');
+  }
+
+  function renderPresence() {
+    if (!dom.presence) return;
+    dom.presence.innerHTML = '';
+    if (!live.enabled) return;
+    const others = live.peers.filter(p => p.clientId !== live.clientId);
+    const self = { clientId: live.clientId, name: live.user.name, color: live.user.color, boardId: state.currentBoardId };
+    [self, ...others].forEach(peer => {
+      const avatar = document.createElement('button');
+      avatar.className = 'presence-avatar';
+      if (peer === self) avatar.classList.add('self');
+      else if (peer.boardId !== state.currentBoardId) avatar.classList.add('elsewhere');
+      avatar.style.background = peer.color;
+      avatar.textContent = initials(peer.name);
+      const board = state.boards[peer.boardId];
+      avatar.title = peer === self
+        ? `${peer.name} (você) — clique para mudar o nome`
+        : `${peer.name} — ${board ? board.name || 'Quadro' : 'outro quadro'}`;
+      avatar.addEventListener('click', () => {
+        if (peer === self) renameLiveUser();
+        else if (board && peer.boardId !== state.currentBoardId) navigateToBoard(peer.boardId);
+      });
+      dom.presence.appendChild(avatar);
+    });
+  }
+
+  function renameLiveUser() {
+    showModal('Seu nome',
+      `<label>Nome exibido para os colegas</label><input type="text" id="live-name-input" maxlength="40" value="${escapeHtml(live.user.name)}">`,
+      () => {
+        const name = document.getElementById('live-name-input').value.trim();
+        if (!name) return;
+        live.user.name = name;
+        localStorage.setItem(USER_KEY, JSON.stringify(live.user));
+        sendPresence();
+        renderPresence();
+      }
+    );
+  }
+
+  // --- Remote cursors ---
+  const sendLiveCursor = throttle((clientX, clientY) => {
+    const pos = screenToCanvas(clientX, clientY);
+    livePost('cursor', { x: Math.round(pos.x), y: Math.round(pos.y) });
+  }, 50);
+
+  function trackLiveCursor(e) {
+    if (!live.enabled) return;
+    const hasCompany = live.peers.some(p => p.clientId !== live.clientId && p.boardId === state.currentBoardId);
+    if (hasCompany) sendLiveCursor(e.clientX, e.clientY);
+  }
+
+  function renderRemoteCursor({ clientId, x, y }) {
+    const peer = live.peers.find(p => p.clientId === clientId);
+    if (!peer || peer.boardId !== state.currentBoardId) return;
+    let el = dom.canvas.querySelector(`.remote-cursor[data-client-id="${clientId}"]`);
+    if (!el) {
+      el = document.createElement('div');
+      el.className = 'remote-cursor';
+      el.dataset.clientId = clientId;
+      el.innerHTML = '<svg viewBox="0 0 16 16" width="16" height="16"><path d="M1 1l5 14 2-6 6-2z" fill="currentColor" stroke="white" stroke-width="1"/></svg><span></span>';
+      dom.canvas.appendChild(el);
+    }
+    el.style.color = peer.color;
+    el.querySelector('span').style.background = peer.color;
+    el.querySelector('span').textContent = peer.name;
+    el.style.transform = `translate(${x}px, ${y}px) scale(${1 / state.canvas.zoom})`;
+  }
+
+  function pruneRemoteCursors() {
+    dom.canvas.querySelectorAll('.remote-cursor').forEach(el => {
+      const peer = live.peers.find(p => p.clientId === el.dataset.clientId);
+      if (!peer || peer.boardId !== state.currentBoardId) el.remove();
+    });
+  }
+
+  function clearRemoteCursors() {
+    dom.canvas.querySelectorAll('.remote-cursor').forEach(el => el.remove());
+    renderPresence();
+  }
+
+  // ============= OFFLINE (PWA) =============
+  // sw.js keeps the app shell cached so the board opens without the server.
+  // A deploy that changes the shell installs a new worker that waits; the
+  // page offers to switch to it and reloads once it has taken over.
+  function startOfflineSupport() {
+    // Queued saves go out as soon as the connection is back
+    window.addEventListener('online', () => {
+      if (serverBackend.offline) saveToStorage();
+    });
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+    let updating = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (updating) location.reload();
+    });
+    const offerUpdate = (worker) => showUpdatePrompt(async () => {
+      updating = true;
+      await saveToStorage();
+      worker.postMessage('skip-waiting');
+    });
+
+    navigator.serviceWorker.register('sw.js').then(registration => {
+      // Without a controller this is the first install, not an update
+      if (registration.waiting && navigator.serviceWorker.controller) offerUpdate(registration.waiting);
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) offerUpdate(worker);
+        });
+      });
+      // Tabs left open for days still notice a deploy
+      setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+    }).catch(err => console.error('Erro ao registrar o service worker:', err));
+  }
+
+  function showUpdatePrompt(onUpdate) {
+    if (dom.toastContainer.querySelector('.update-toast')) return;
+    const toast = document.createElement('div');
+    toast.className = 'toast update-toast';
+    toast.innerHTML = '<span>🔄 Nova versão disponível</span><button class="toast-action">Atualizar</button>';
+    toast.querySelector('.toast-action').addEventListener('click', () => {
+      toast.remove();
+      onUpdate();
+    });
+    dom.toastContainer.appendChild(toast);
+  }
+
   // ============= DARK MODE =============
   function toggleDarkMode() {
     state.ui.darkMode = !state.ui.darkMode;
@@ -2723,8 +8669,8 @@
   }
 
   // ============= INITIALIZATION =============
-  function init() {
-    const loaded = loadFromStorage();
+  async function init() {
+    const loaded = await loadFromStorage();
 
     if (!loaded || !state.currentBoardId || !state.boards[state.currentBoardId]) {
       state.boards = {};
@@ -2740,6 +8686,19 @@
     initEvents();
     renderCurrentBoard();
     updateHistoryButtons();
+    updateMigrateImagesButton();
+    updateStorageUsage();
+    await startHistory();
+    if (storageLocked) {
+      setSaveStatus('locked', storageLockReason);
+    } else if (!offerJournalRestore(await startJournal())) {
+      offerIntegrityRepair();
+    }
+    if (serverBackend.offline) setSaveStatus('offline', SERVER_OFFLINE_DETAIL);
+    startLive();
+    startCrossTabSync();
+    startOfflineSupport();
+    startCheckpoints();
 
     // Auto-save periodically
     setInterval(saveToStorage, 30000);
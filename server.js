@@ -1,34 +1,832 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 const PORT = process.env.PORT || 3000;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'storage');
+const BOARDS_DIR = path.join(DATA_DIR, 'boards');
+const UPLOADS_DIR = path.join(DATA_DIR, 'uploads');
+const CHECKPOINTS_DIR = path.join(DATA_DIR, 'checkpoints');
+const TRASH_FILE = path.join(DATA_DIR, 'trash.json');
+const MAX_BODY_SIZE = 25 * 1024 * 1024;
+const MAX_UPLOAD_SIZE = 10 * 1024 * 1024;
+const SCHEMA_VERSION = 2;
 
 const MIME_TYPES = {
   '.html': 'text/html; charset=utf-8',
   '.css': 'text/css; charset=utf-8',
   '.js': 'application/javascript; charset=utf-8',
   '.json': 'application/json',
+  '.webmanifest': 'application/manifest+json',
   '.png': 'image/png',
   '.jpg': 'image/jpeg',
   '.jpeg': 'image/jpeg',
   '.gif': 'image/gif',
+  '.webp': 'image/webp',
   '.svg': 'image/svg+xml',
   '.ico': 'image/x-icon',
   '.woff': 'font/woff',
   '.woff2': 'font/woff2'
 };
 
-const server = http.createServer((req, res) => {
-  let urlPath = req.url.split('?')[0];
+// ============= HTTP HELPERS =============
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req, limit = MAX_BODY_SIZE) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new HttpError(413, 'Conteúdo muito grande'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+async function readJsonBody(req) {
+  const raw = await readBody(req);
+  try {
+    return JSON.parse(raw.toString('utf8') || 'null');
+  } catch (e) {
+    throw new HttpError(400, 'JSON inválido');
+  }
+}
+
+// ============= BOARD STORE (files on disk) =============
+// Each board lives in its own file as a version 2 payload holding that board
+// and the cards whose boardId points to it, so a board file can be fed
+// straight into the client's import.
+const ID_PATTERN = /^[\w-]{1,64}$/;
+
+function assertId(id) {
+  if (!ID_PATTERN.test(id)) throw new HttpError(400, 'Identificador inválido');
+}
+
+function boardFile(boardId) {
+  assertId(boardId);
+  return path.join(BOARDS_DIR, boardId + '.json');
+}
+
+async function writeFileAtomic(file, contents) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmp = file + '.' + process.pid + '.tmp';
+  await fs.promises.writeFile(tmp, contents);
+  await fs.promises.rename(tmp, file);
+}
+
+async function readBoardFile(boardId) {
+  try {
+    const raw = await fs.promises.readFile(boardFile(boardId), 'utf8');
+    return JSON.parse(raw);
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+async function writeBoardFile(boardId, payload) {
+  await writeFileAtomic(boardFile(boardId), JSON.stringify(payload));
+}
+
+// ============= REVISIONS (optimistic concurrency) =============
+// Every write bumps the board's revision. Writers send the revision they
+// last saw in If-Match (or If-None-Match: * to create); a mismatch is
+// answered with 412 and the current board so the client can merge.
+const boardLocks = new Map();
+
+// Serialises read-check-write sequences on the same board file
+function withBoardLock(boardId, fn) {
+  const previous = boardLocks.get(boardId) || Promise.resolve();
+  const run = previous.then(fn);
+  const tail = run.catch(() => {});
+  boardLocks.set(boardId, tail);
+  tail.then(() => {
+    if (boardLocks.get(boardId) === tail) boardLocks.delete(boardId);
+  });
+  return run;
+}
+
+const revisionOf = (payload) => (payload ? payload.revision || 0 : 0);
+const etag = (payload) => `"${revisionOf(payload)}"`;
+
+function parseRevision(header) {
+  return parseInt(header.replace(/^W\//, '').replace(/"/g, ''), 10);
+}
+
+function checkRevision(req, current) {
+  const ifMatch = req.headers['if-match'];
+  const ifNoneMatch = req.headers['if-none-match'];
+  const conflict = () => new HttpError(412, 'O quadro foi alterado por outra pessoa', {
+    revision: current ? revisionOf(current) : null,
+    current
+  });
+  if (ifNoneMatch === '*' && current) throw conflict();
+  if (ifMatch === undefined) return;
+  if (!current) throw conflict();
+  if (ifMatch !== '*' && parseRevision(ifMatch) !== revisionOf(current)) throw conflict();
+}
+
+async function commitBoard(boardId, payload, baseRevision, res) {
+  payload.revision = baseRevision + 1;
+  await writeBoardFile(boardId, payload);
+  if (res) res.setHeader('ETag', etag(payload));
+  return payload;
+}
+
+async function listBoardIds() {
+  try {
+    const files = await fs.promises.readdir(BOARDS_DIR);
+    return files.filter(f => f.endsWith('.json')).map(f => f.slice(0, -5)).filter(id => ID_PATTERN.test(id));
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+}
+
+async function loadBoardPayload(boardId) {
+  const payload = await readBoardFile(boardId);
+  if (!payload) throw new HttpError(404, 'Quadro não encontrado');
+  return payload;
+}
+
+// Schema version a payload was written with. The file keeps the writer's
+// version rather than the server's, so a client older than the data still
+// sees that it must not write over it.
+function schemaVersionOf(payload) {
+  const version = Number(payload && payload.version);
+  return Number.isInteger(version) && version > 0 ? version : SCHEMA_VERSION;
+}
+
+// Refuses a write from an app version older than the stored data
+function assertNotOlder(current, payload) {
+  if (current && schemaVersionOf(current) > schemaVersionOf(payload)) {
+    throw new HttpError(409, 'O quadro foi salvo por uma versão mais nova do aplicativo', { version: schemaVersionOf(current) });
+  }
+}
+
+// Normalises an incoming board payload: accepts either a version 2 payload
+// ({ boards: { [id]: board }, cards }) or { board, cards } and keeps only the
+// cards that belong to the board. The card list and the connections are
+// checked too, since the card routes rely on their shape.
+const isConnection = (conn) => !!conn && typeof conn === 'object' &&
+  typeof conn.fromCardId === 'string' && typeof conn.toCardId === 'string';
+
+function toBoardPayload(boardId, body) {
+  if (!body || typeof body !== 'object') throw new HttpError(400, 'Corpo da requisição inválido');
+  const board = body.boards ? body.boards[boardId] : body.board;
+  if (!board || typeof board !== 'object') throw new HttpError(400, 'Quadro ausente no corpo da requisição');
+  const cardIds = board.cardIds || [];
+  const connections = board.connections || [];
+  if (!Array.isArray(cardIds) || !cardIds.every(id => typeof id === 'string')) {
+    throw new HttpError(400, 'Lista de cards do quadro inválida');
+  }
+  if (!Array.isArray(connections) || !connections.every(isConnection)) {
+    throw new HttpError(400, 'Conexões do quadro inválidas');
+  }
+  const cards = {};
+  Object.values(body.cards || {}).forEach(card => {
+    if (card && card.id && card.boardId === boardId) cards[card.id] = card;
+  });
+  return {
+    boards: { [boardId]: { ...board, id: boardId, cardIds, connections } },
+    cards,
+    version: schemaVersionOf(body)
+  };
+}
+
+function summarizeBoard(payload, boardId) {
+  const board = payload.boards[boardId];
+  return {
+    id: boardId,
+    name: board.name,
+    parentId: board.parentId || null,
+    cardCount: board.cardIds.length,
+    updatedAt: board.updatedAt || null
+  };
+}
+
+// ============= CHECKPOINTS (board version history) =============
+// Named and automatic copies of a board, one file each under
+// checkpoints/<boardId>/. They outlive the board itself so a board restored
+// from the trash gets its history back. Only the newest automatic
+// checkpoints are kept; named ones stay until deleted. Listing reads
+// index.json, which holds the summaries, instead of every full copy.
+const CHECKPOINT_AUTO_LIMIT = 30;
+const CHECKPOINT_INDEX = 'index.json';
+
+function checkpointFile(boardId, checkpointId) {
+  assertId(boardId);
+  assertId(checkpointId);
+  if (checkpointId + '.json' === CHECKPOINT_INDEX) throw new HttpError(404, 'Versão não encontrada');
+  return path.join(CHECKPOINTS_DIR, boardId, checkpointId + '.json');
+}
+
+function checkpointIndexFile(boardId) {
+  assertId(boardId);
+  return path.join(CHECKPOINTS_DIR, boardId, CHECKPOINT_INDEX);
+}
+
+function summarizeCheckpoint(checkpoint) {
+  const { payload, ...summary } = checkpoint;
+  return summary;
+}
+
+// Newest first. Boards whose history predates the index get one built from
+// their files on first read. Callers hold the board's checkpoint lock.
+async function readCheckpointIndex(boardId) {
+  try {
+    return JSON.parse(await fs.promises.readFile(checkpointIndexFile(boardId), 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error('Índice de versões ilegível:', boardId, e.message);
+  }
+  const dir = path.join(CHECKPOINTS_DIR, boardId);
+  let files;
+  try {
+    files = await fs.promises.readdir(dir);
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  const summaries = [];
+  for (const file of files.filter(f => f.endsWith('.json') && f !== CHECKPOINT_INDEX)) {
+    try {
+      summaries.push(summarizeCheckpoint(JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8'))));
+    } catch (e) {
+      console.error('Checkpoint ilegível:', file, e.message);
+    }
+  }
+  summaries.sort((a, b) => b.createdAt - a.createdAt);
+  await writeCheckpointIndex(boardId, summaries);
+  return summaries;
+}
+
+function writeCheckpointIndex(boardId, summaries) {
+  return writeFileAtomic(checkpointIndexFile(boardId), JSON.stringify(summaries));
+}
+
+const withCheckpointLock = (boardId, fn) => withBoardLock('checkpoints/' + boardId, fn);
+
+// ============= TRASH =============
+// Cards deleted from any board, newest first, in one file for the workspace.
+// Each entry carries what the client needs to put the card back (see TRASH
+// in app.js); the server only keeps them for TRASH_RETENTION_DAYS.
+const TRASH_RETENTION_DAYS = 30;
+
+function isTrashEntry(entry) {
+  return !!entry && typeof entry === 'object' && typeof entry.id === 'string' && ID_PATTERN.test(entry.id) &&
+    typeof entry.deletedAt === 'number' && !!entry.cards && typeof entry.cards === 'object';
+}
+
+// Read-modify-write under one lock so concurrent requests don't drop entries
+function updateTrash(fn) {
+  return withBoardLock('trash/', async () => {
+    let stored = [];
+    try {
+      stored = JSON.parse(await fs.promises.readFile(TRASH_FILE, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    const cutoff = Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const entries = (Array.isArray(stored) ? stored : []).filter(entry => entry.deletedAt > cutoff);
+    const result = fn(entries);
+    if (result.entries !== entries || entries.length !== stored.length) {
+      await writeFileAtomic(TRASH_FILE, JSON.stringify(result.entries));
+    }
+    return result;
+  });
+}
+
+// ============= UPLOADS (content-addressed assets) =============
+// Accepted image types and the magic bytes their contents must start with.
+// SVG is left out on purpose: it can carry scripts and uploads are served
+// from the app's own origin.
+const UPLOAD_TYPES = {
+  'image/png': { ext: '.png', magic: [[0x89, 0x50, 0x4e, 0x47]] },
+  'image/jpeg': { ext: '.jpg', magic: [[0xff, 0xd8, 0xff]] },
+  'image/gif': { ext: '.gif', magic: [[0x47, 0x49, 0x46, 0x38]] },
+  'image/webp': { ext: '.webp', magic: [[0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50]] }
+};
+const UPLOAD_NAME_PATTERN = /^[\w.-]{1,128}$/;
+
+function matchesMagic(buffer, signatures) {
+  return signatures.some(sig => sig.every((byte, i) => byte === null || buffer[i] === byte));
+}
+
+async function saveUpload(buffer, mimeType) {
+  const spec = UPLOAD_TYPES[mimeType];
+  if (!spec) throw new HttpError(415, 'Tipo de arquivo não suportado');
+  if (buffer.length === 0) throw new HttpError(400, 'Arquivo vazio');
+  if (!matchesMagic(buffer, spec.magic)) throw new HttpError(415, 'O conteúdo não corresponde ao tipo informado');
+
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 32);
+  const name = hash + spec.ext;
+  const file = path.join(UPLOADS_DIR, name);
+  try {
+    await fs.promises.access(file);
+  } catch (e) {
+    await writeFileAtomic(file, buffer);
+  }
+  return { url: '/uploads/' + name, type: mimeType, size: buffer.length };
+}
+
+function serveUpload(req, res, urlPath) {
+  const name = urlPath.slice('/uploads/'.length);
+  if (!UPLOAD_NAME_PATTERN.test(name) || name.startsWith('.')) {
+    res.writeHead(404, { 'Content-Type': 'text/html' });
+    res.end('<h1>404 - Arquivo não encontrado</h1>');
+    return;
+  }
+  const ext = path.extname(name).toLowerCase();
+  fs.readFile(path.join(UPLOADS_DIR, name), (err, data) => {
+    if (err) {
+      res.writeHead(404, { 'Content-Type': 'text/html' });
+      res.end('<h1>404 - Arquivo não encontrado</h1>');
+      return;
+    }
+    res.writeHead(200, {
+      'Content-Type': MIME_TYPES[ext] || 'application/octet-stream',
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.end(data);
+  });
+}
+
+// ============= LIVE COLLABORATION (Server-Sent Events) =============
+// Clients subscribe with an EventSource and publish through plain POSTs.
+// Card and board operations go to every connected client so that each one
+// keeps its whole workspace in step; transient operations (drag/resize
+// previews) and cursors only go to clients viewing the same board.
+const LIVE_HEARTBEAT_MS = 25000;
+const liveClients = new Map();
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function livePeers() {
+  return [...liveClients.entries()].map(([clientId, c]) => ({ clientId, name: c.name, color: c.color, boardId: c.boardId }));
+}
+
+function broadcastPresence() {
+  const peers = livePeers();
+  liveClients.forEach(c => sendEvent(c.res, 'presence', { peers }));
+}
+
+function broadcastLive(fromClientId, event, data, boardId) {
+  liveClients.forEach((c, clientId) => {
+    if (clientId === fromClientId) return;
+    if (boardId && c.boardId !== boardId) return;
+    sendEvent(c.res, event, data);
+  });
+}
+
+function liveParams(req) {
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  return {
+    clientId: params.get('clientId') || '',
+    boardId: params.get('boardId') || null,
+    name: (params.get('name') || 'Convidado').slice(0, 40),
+    color: params.get('color') || '#888888'
+  };
+}
+
+function requireLiveClient(clientId) {
+  const client = liveClients.get(clientId);
+  if (!client) throw new HttpError(409, 'Cliente não conectado');
+  return client;
+}
+
+// ============= API ROUTES =============
+const api = {
+  async status() {
+    return { app: 'quadro-planejamento', version: SCHEMA_VERSION };
+  },
+
+  // The workspace carries the newest version among its boards, so a client
+  // that can't read one of them refuses the whole workspace
+  async getWorkspace() {
+    const data = { boards: {}, cards: {}, revisions: {}, version: 0 };
+    for (const id of await listBoardIds()) {
+      const payload = await readBoardFile(id);
+      if (!payload || !payload.boards) continue;
+      Object.assign(data.boards, payload.boards);
+      Object.assign(data.cards, payload.cards);
+      data.revisions[id] = revisionOf(payload);
+      data.version = Math.max(data.version, schemaVersionOf(payload));
+    }
+    data.version = data.version || SCHEMA_VERSION;
+    return data;
+  },
+
+  async listBoards() {
+    const boards = [];
+    for (const id of await listBoardIds()) {
+      const payload = await readBoardFile(id);
+      if (payload && payload.boards && payload.boards[id]) boards.push(summarizeBoard(payload, id));
+    }
+    return { boards };
+  },
+
+  async getBoard(req, { boardId }, res) {
+    const payload = await loadBoardPayload(boardId);
+    res.setHeader('ETag', etag(payload));
+    return payload;
+  },
+
+  async createBoard(req, params, res) {
+    const body = await readJsonBody(req);
+    const board = (body && (body.board || body)) || {};
+    const boardId = board.id || ('_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8));
+    assertId(boardId);
+    return withBoardLock(boardId, async () => {
+      if (await readBoardFile(boardId)) throw new HttpError(409, 'Quadro já existe');
+      const now = Date.now();
+      const payload = toBoardPayload(boardId, {
+        board: { name: 'Novo Quadro', parentId: null, panX: 0, panY: 0, zoom: 1, createdAt: now, updatedAt: now, ...board },
+        cards: body && body.cards
+      });
+      return commitBoard(boardId, payload, 0, res);
+    });
+  },
+
+  async putBoard(req, { boardId }, res) {
+    const body = await readJsonBody(req);
+    return withBoardLock(boardId, async () => {
+      const current = await readBoardFile(boardId);
+      checkRevision(req, current);
+      const incoming = toBoardPayload(boardId, body);
+      assertNotOlder(current, incoming);
+      const payload = await commitBoard(boardId, incoming, revisionOf(current), res);
+      return { ...summarizeBoard(payload, boardId), revision: payload.revision };
+    });
+  },
+
+  async deleteBoard(req, { boardId }) {
+    return withBoardLock(boardId, async () => {
+      const current = await loadBoardPayload(boardId);
+      checkRevision(req, current);
+      await fs.promises.unlink(boardFile(boardId));
+      return null;
+    });
+  },
+
+  async listCheckpoints(req, { boardId }) {
+    return { checkpoints: await withCheckpointLock(boardId, () => readCheckpointIndex(boardId)) };
+  },
+
+  // An automatic checkpoint identical to the newest one is not stored again,
+  // so several open tabs taking them on a timer don't pile up copies
+  async createCheckpoint(req, { boardId }) {
+    const body = await readJsonBody(req);
+    if (!body || typeof body !== 'object') throw new HttpError(400, 'Corpo da requisição inválido');
+    const payload = toBoardPayload(boardId, body.payload);
+    const auto = !!body.auto;
+    const hash = typeof body.hash === 'string' ? body.hash : '';
+    return withCheckpointLock(boardId, async () => {
+      const existing = await readCheckpointIndex(boardId);
+      if (auto && hash && existing[0] && existing[0].hash === hash) return existing[0];
+      const now = Date.now();
+      const checkpoint = {
+        id: '_' + now.toString(36) + Math.random().toString(36).slice(2, 8),
+        boardId,
+        name: auto ? null : (String(body.name || '').trim().slice(0, 100) || null),
+        auto,
+        createdAt: now,
+        hash,
+        cardCount: Object.keys(payload.cards).length,
+        payload
+      };
+      await writeFileAtomic(checkpointFile(boardId, checkpoint.id), JSON.stringify(checkpoint));
+      const summary = summarizeCheckpoint(checkpoint);
+      const stale = auto ? existing.filter(c => c.auto).slice(CHECKPOINT_AUTO_LIMIT - 1) : [];
+      await writeCheckpointIndex(boardId, [summary, ...existing.filter(c => !stale.includes(c))]);
+      for (const old of stale) {
+        await fs.promises.unlink(checkpointFile(boardId, old.id)).catch(() => {});
+      }
+      return summary;
+    });
+  },
+
+  async getCheckpoint(req, { boardId, checkpointId }) {
+    try {
+      return JSON.parse(await fs.promises.readFile(checkpointFile(boardId, checkpointId), 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') throw new HttpError(404, 'Versão não encontrada');
+      throw e;
+    }
+  },
+
+  async deleteCheckpoint(req, { boardId, checkpointId }) {
+    const file = checkpointFile(boardId, checkpointId);
+    return withCheckpointLock(boardId, async () => {
+      const existing = await readCheckpointIndex(boardId);
+      try {
+        await fs.promises.unlink(file);
+      } catch (e) {
+        if (e.code === 'ENOENT') throw new HttpError(404, 'Versão não encontrada');
+        throw e;
+      }
+      await writeCheckpointIndex(boardId, existing.filter(c => c.id !== checkpointId));
+      return null;
+    });
+  },
+
+  async listCards(req, { boardId }) {
+    const payload = await loadBoardPayload(boardId);
+    return { cards: payload.cards };
+  },
+
+  async getCard(req, { boardId, cardId }) {
+    const payload = await loadBoardPayload(boardId);
+    const card = payload.cards[cardId];
+    if (!card) throw new HttpError(404, 'Card não encontrado');
+    return card;
+  },
+
+  // Card writes change the board file, so If-Match refers to the board revision
+  async createCard(req, { boardId }, res) {
+    const body = await readJsonBody(req);
+    if (!body || typeof body !== 'object' || !body.type) throw new HttpError(400, 'Card inválido');
+    return withBoardLock(boardId, async () => {
+      const payload = await loadBoardPayload(boardId);
+      checkRevision(req, payload);
+      const now = Date.now();
+      const card = { createdAt: now, ...body, id: body.id || ('_' + now.toString(36) + Math.random().toString(36).slice(2, 8)), boardId, updatedAt: now };
+      assertId(card.id);
+      if (payload.cards[card.id]) throw new HttpError(409, 'Card já existe');
+      payload.cards[card.id] = card;
+      const board = payload.boards[boardId];
+      if (!card._inColumn) board.cardIds.push(card.id);
+      board.updatedAt = now;
+      await commitBoard(boardId, payload, revisionOf(payload), res);
+      return card;
+    });
+  },
+
+  async putCard(req, { boardId, cardId }, res) {
+    const body = await readJsonBody(req);
+    if (!body || typeof body !== 'object') throw new HttpError(400, 'Card inválido');
+    return withBoardLock(boardId, async () => {
+      const payload = await loadBoardPayload(boardId);
+      checkRevision(req, payload);
+      const existing = payload.cards[cardId];
+      if (!existing) throw new HttpError(404, 'Card não encontrado');
+      const card = { ...existing, ...body, id: cardId, boardId, updatedAt: Date.now() };
+      payload.cards[cardId] = card;
+      payload.boards[boardId].updatedAt = card.updatedAt;
+      await commitBoard(boardId, payload, revisionOf(payload), res);
+      return card;
+    });
+  },
+
+  async deleteCard(req, { boardId, cardId }, res) {
+    return withBoardLock(boardId, async () => {
+      const payload = await loadBoardPayload(boardId);
+      checkRevision(req, payload);
+      if (!payload.cards[cardId]) throw new HttpError(404, 'Card não encontrado');
+      delete payload.cards[cardId];
+      const board = payload.boards[boardId];
+      board.cardIds = board.cardIds.filter(id => id !== cardId);
+      board.connections = board.connections.filter(c => c.fromCardId !== cardId && c.toCardId !== cardId);
+      Object.values(payload.cards).forEach(c => {
+        if (c.childCardIds) c.childCardIds = c.childCardIds.filter(id => id !== cardId);
+      });
+      board.updatedAt = Date.now();
+      await commitBoard(boardId, payload, revisionOf(payload), res);
+      return null;
+    });
+  },
+
+  async listTrash() {
+    return updateTrash(entries => ({ entries }));
+  },
+
+  // Takes several entries at once, so a browser that was offline can send up
+  // everything deleted meanwhile
+  async addToTrash(req) {
+    const body = await readJsonBody(req);
+    if (!body || !Array.isArray(body.entries) || !body.entries.every(isTrashEntry)) {
+      throw new HttpError(400, 'Itens da lixeira inválidos');
+    }
+    await updateTrash(entries => {
+      const ids = new Set(body.entries.map(entry => entry.id));
+      return { entries: [...body.entries, ...entries.filter(entry => !ids.has(entry.id))].sort((a, b) => b.deletedAt - a.deletedAt) };
+    });
+    return null;
+  },
+
+  // Answers with the entry removed, so only one client gets to restore it
+  async takeFromTrash(req, { entryId }) {
+    assertId(entryId);
+    const { entry } = await updateTrash(entries => {
+      const entry = entries.find(e => e.id === entryId);
+      if (!entry) throw new HttpError(404, 'Item não encontrado na lixeira');
+      return { entry, entries: entries.filter(e => e !== entry) };
+    });
+    return { entry };
+  },
+
+  async emptyTrash() {
+    await updateTrash(() => ({ entries: [] }));
+    return null;
+  },
+
+  // A restored card's connections to cards still in the trash wait in the
+  // entries holding those cards
+  async holdTrashConnections(req) {
+    const body = await readJsonBody(req);
+    if (!body || !Array.isArray(body.connections)) throw new HttpError(400, 'Conexões inválidas');
+    await updateTrash(entries => ({
+      entries: entries.map(entry => {
+        const held = body.connections.filter(conn => conn && (entry.cards[conn.fromCardId] || entry.cards[conn.toCardId]));
+        return held.length ? { ...entry, connections: [...(entry.connections || []), ...held] } : entry;
+      })
+    }));
+    return null;
+  },
+
+  // Raw request body upload: the Content-Type header names the image type
+  async uploadImage(req) {
+    const mimeType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!UPLOAD_TYPES[mimeType]) throw new HttpError(415, 'Tipo de arquivo não suportado');
+    const declared = parseInt(req.headers['content-length'], 10);
+    if (declared > MAX_UPLOAD_SIZE) throw new HttpError(413, 'Imagem muito grande (máximo 10 MB)');
+    const buffer = await readBody(req, MAX_UPLOAD_SIZE);
+    return saveUpload(buffer, mimeType);
+  },
+
+  async liveSubscribe(req, params, res) {
+    const { clientId, boardId, name, color } = liveParams(req);
+    assertId(clientId);
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+
+    const previous = liveClients.get(clientId);
+    if (previous) {
+      clearInterval(previous.heartbeat);
+      previous.res.end();
+    }
+    const client = {
+      res, boardId, name, color,
+      heartbeat: setInterval(() => res.write(': ping\n\n'), LIVE_HEARTBEAT_MS)
+    };
+    liveClients.set(clientId, client);
+    broadcastPresence();
+
+    req.on('close', () => {
+      clearInterval(client.heartbeat);
+      if (liveClients.get(clientId) === client) {
+        liveClients.delete(clientId);
+        broadcastPresence();
+      }
+    });
+  },
+
+  async livePresence(req) {
+    const body = await readJsonBody(req);
+    const client = requireLiveClient(body && body.clientId);
+    if (body.boardId !== undefined) client.boardId = body.boardId;
+    if (body.name) client.name = String(body.name).slice(0, 40);
+    if (body.color) client.color = body.color;
+    broadcastPresence();
+    return null;
+  },
+
+  async liveOps(req) {
+    const body = await readJsonBody(req);
+    if (!body || !Array.isArray(body.ops)) throw new HttpError(400, 'Operações inválidas');
+    const client = requireLiveClient(body.clientId);
+    const message = { clientId: body.clientId, name: client.name, boardId: body.boardId, ops: body.ops };
+    broadcastLive(body.clientId, 'ops', message, body.transient ? body.boardId : null);
+    return null;
+  },
+
+  async liveCursor(req) {
+    const body = await readJsonBody(req);
+    const client = requireLiveClient(body && body.clientId);
+    broadcastLive(body.clientId, 'cursor', { clientId: body.clientId, x: body.x, y: body.y }, client.boardId);
+    return null;
+  }
+};
+
+const ROUTES = [
+  ['GET', /^\/api\/status$/, [], api.status],
+  ['GET', /^\/api\/workspace$/, [], api.getWorkspace],
+  ['GET', /^\/api\/boards$/, [], api.listBoards],
+  ['POST', /^\/api\/boards$/, [], api.createBoard],
+  ['GET', /^\/api\/boards\/([^/]+)$/, ['boardId'], api.getBoard],
+  ['PUT', /^\/api\/boards\/([^/]+)$/, ['boardId'], api.putBoard],
+  ['DELETE', /^\/api\/boards\/([^/]+)$/, ['boardId'], api.deleteBoard],
+  ['GET', /^\/api\/boards\/([^/]+)\/cards$/, ['boardId'], api.listCards],
+  ['POST', /^\/api\/boards\/([^/]+)\/cards$/, ['boardId'], api.createCard],
+  ['GET', /^\/api\/boards\/([^/]+)\/cards\/([^/]+)$/, ['boardId', 'cardId'], api.getCard],
+  ['PUT', /^\/api\/boards\/([^/]+)\/cards\/([^/]+)$/, ['boardId', 'cardId'], api.putCard],
+  ['DELETE', /^\/api\/boards\/([^/]+)\/cards\/([^/]+)$/, ['boardId', 'cardId'], api.deleteCard],
+  ['GET', /^\/api\/boards\/([^/]+)\/checkpoints$/, ['boardId'], api.listCheckpoints],
+  ['POST', /^\/api\/boards\/([^/]+)\/checkpoints$/, ['boardId'], api.createCheckpoint],
+  ['GET', /^\/api\/boards\/([^/]+)\/checkpoints\/([^/]+)$/, ['boardId', 'checkpointId'], api.getCheckpoint],
+  ['DELETE', /^\/api\/boards\/([^/]+)\/checkpoints\/([^/]+)$/, ['boardId', 'checkpointId'], api.deleteCheckpoint],
+  ['GET', /^\/api\/trash$/, [], api.listTrash],
+  ['POST', /^\/api\/trash$/, [], api.addToTrash],
+  ['DELETE', /^\/api\/trash$/, [], api.emptyTrash],
+  ['POST', /^\/api\/trash\/connections$/, [], api.holdTrashConnections],
+  ['DELETE', /^\/api\/trash\/([^/]+)$/, ['entryId'], api.takeFromTrash],
+  ['POST', /^\/api\/uploads$/, [], api.uploadImage],
+  ['GET', /^\/api\/live$/, [], api.liveSubscribe],
+  ['POST', /^\/api\/live\/presence$/, [], api.livePresence],
+  ['POST', /^\/api\/live\/ops$/, [], api.liveOps],
+  ['POST', /^\/api\/live\/cursor$/, [], api.liveCursor]
+];
+
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (e) {
+    throw new HttpError(400, 'Caminho inválido');
+  }
+}
+
+async function handleApi(req, res, urlPath) {
+  let pathMatched = false;
+  for (const [method, pattern, names, handler] of ROUTES) {
+    const match = urlPath.match(pattern);
+    if (!match) continue;
+    pathMatched = true;
+    if (method !== req.method) continue;
+    const params = {};
+    names.forEach((name, i) => { params[name] = decodePathSegment(match[i + 1]); });
+    Object.values(params).forEach(assertId);
+    const result = await handler(req, params, res);
+    if (res.headersSent) return;
+    if (result === null) {
+      res.writeHead(204, { 'Cache-Control': 'no-store' });
+      res.end();
+    } else {
+      sendJson(res, req.method === 'POST' ? 201 : 200, result);
+    }
+    return;
+  }
+  throw new HttpError(pathMatched ? 405 : 404, pathMatched ? 'Método não permitido' : 'Rota não encontrada');
+}
+
+// ============= STATIC FILES =============
+// Cached by sw.js for offline use; keep in sync with SHELL_FILES there
+const SHELL_FILES = ['index.html', 'app.js', 'style.css', 'manifest.webmanifest', 'icon.svg', 'icon-192.png', 'icon-512.png'];
+
+// sw.js gets a hash of the shell files as its VERSION, so the browser sees a
+// new service worker (and the app offers to update) whenever a deploy changes
+// any of them
+function serveServiceWorker(req, res) {
+  try {
+    const hash = crypto.createHash('sha256');
+    SHELL_FILES.forEach(file => hash.update(fs.readFileSync(path.join(__dirname, file))));
+    const source = fs.readFileSync(path.join(__dirname, 'sw.js'), 'utf8')
+      .replace("const VERSION = 'dev';", `const VERSION = '${hash.digest('hex').slice(0, 12)}';`);
+    res.writeHead(200, { 'Content-Type': MIME_TYPES['.js'], 'Cache-Control': 'no-cache' });
+    res.end(source);
+  } catch (err) {
+    console.error('Erro ao gerar sw.js:', err);
+    res.writeHead(404, { 'Content-Type': 'text/html' });
+    res.end('<h1>404 - Arquivo não encontrado</h1>');
+  }
+}
+
+function serveStatic(req, res, urlPath) {
   if (urlPath === '/') urlPath = '/index.html';
 
   const filePath = path.join(__dirname, urlPath);
   const ext = path.extname(filePath).toLowerCase();
   const contentType = MIME_TYPES[ext] || 'application/octet-stream';
+  // Board data is only reachable through the API
+  const isDataFile = filePath.startsWith(DATA_DIR + path.sep);
 
   fs.readFile(filePath, (err, data) => {
-    if (err) {
+    if (err || isDataFile) {
       res.writeHead(404, { 'Content-Type': 'text/html' });
       res.end('<h1>404 - Arquivo não encontrado</h1>');
       return;
@@ -36,6 +834,31 @@ const server = http.createServer((req, res) => {
     res.writeHead(200, { 'Content-Type': contentType });
     res.end(data);
   });
+}
+
+const server = http.createServer((req, res) => {
+  const urlPath = req.url.split('?')[0];
+
+  if (urlPath.startsWith('/api/')) {
+    handleApi(req, res, urlPath).catch((err) => {
+      const status = err.status || 500;
+      if (status === 500) console.error('Erro na API:', err);
+      if (!res.headersSent) sendJson(res, status, { error: status === 500 ? 'Erro interno do servidor' : err.message, ...err.details });
+    });
+    return;
+  }
+
+  if (urlPath.startsWith('/uploads/')) {
+    serveUpload(req, res, urlPath);
+    return;
+  }
+
+  if (urlPath === '/sw.js') {
+    serveServiceWorker(req, res);
+    return;
+  }
+
+  serveStatic(req, res, urlPath);
 });
 
 server.listen(PORT, () => {
@@ -0,0 +1,82 @@
+// Service worker: keeps the app shell cached so the board opens offline and
+// the app can be installed. Board data never goes through here; it lives in
+// the browser's storage or behind /api/, which is always left to the network.
+
+// Replaced by server.js with a hash of SHELL_FILES, so every deploy that
+// changes them also changes this file and the browser installs the new worker
+const VERSION = 'dev';
+// Other hosts serve this file as is: the worker never changes, so the shell
+// has to come from the network whenever it answers, the cache only offline
+const NETWORK_FIRST = VERSION === 'dev';
+const SHELL_CACHE = 'quadro-shell-' + VERSION;
+const UPLOADS_CACHE = 'quadro-uploads';
+// Most images kept for offline use; the ones least recently shown go first
+const UPLOADS_CACHE_LIMIT = 300;
+// Keep in sync with SHELL_FILES in server.js
+const SHELL_FILES = ['index.html', 'app.js', 'style.css', 'manifest.webmanifest', 'icon.svg', 'icon-192.png', 'icon-512.png'];
+
+self.addEventListener('install', (event) => {
+  // The new version waits until the page asks for it (see "Nova versão" in app.js)
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key.startsWith('quadro-shell-') && key !== SHELL_CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data === 'skip-waiting') self.skipWaiting();
+});
+
+// Cache keys keep the order entries were stored in, so storing an image
+// again when it is shown moves it to the end
+async function touchUpload(cache, request, response) {
+  await cache.delete(request);
+  await cache.put(request, response);
+}
+
+async function trimUploads(cache) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - UPLOADS_CACHE_LIMIT)).map(key => cache.delete(key)));
+}
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+  // Uploaded images never change once stored; keep them for offline use
+  if (url.pathname.startsWith('/uploads/')) {
+    event.respondWith(caches.open(UPLOADS_CACHE).then(async (cache) => {
+      const cached = await cache.match(request);
+      if (cached) {
+        event.waitUntil(touchUpload(cache, request, cached.clone()));
+        return cached;
+      }
+      const response = await fetch(request);
+      if (response.ok) event.waitUntil(cache.put(request, response.clone()).then(() => trimUploads(cache)));
+      return response;
+    }));
+    return;
+  }
+
+  // Shell files come from this version's cache; anything else tries the network first
+  event.respondWith((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    const key = request.mode === 'navigate' ? 'index.html' : request;
+    const cached = await cache.match(key, { ignoreSearch: true });
+    if (cached && !NETWORK_FIRST) return cached;
+    try {
+      const response = await fetch(request);
+      // Keeps the offline copy of the shell current
+      if (cached && response.ok && !response.redirected) cache.put(key, response.clone());
+      return response;
+    } catch (e) {
+      return cached || (await caches.match(request)) || Response.error();
+    }
+  })());
+});